@@ -0,0 +1,317 @@
+// @ts-check
+
+import fs from 'fs'
+import path from 'path'
+
+import renderTemplate from './utils/renderTemplate.js'
+import renderFeature from './utils/renderFeature.js'
+import deepMerge from './utils/deepMerge.js'
+import sortDependencies from './utils/sortDependencies.js'
+import usePreprocessor from './utils/preprocessor.js'
+import {
+  getFeature,
+  detectFeatures,
+  sortFeatures,
+  findConflict,
+  getEntry,
+  getPreprocessor,
+  getTemplateData
+} from './utils/features.js'
+import { METADATA_FILE, hashContent, readMetadata, stringifyMetadata } from './utils/metadata.js'
+import { writeFilesOrRollback } from './utils/staging.js'
+import { getTypeScriptPath } from './utils/typescript.js'
+import { InvalidOptionError, UnknownFeatureError } from './utils/errors.js'
+
+// `import.meta.url` doesn't work in the cjs bundle, see `createProject.js`
+const templateRoot = path.resolve(__dirname, 'template')
+
+/**
+ * Render the parts of a project that depend on the features,
+ * in the same order as `createProject()`
+ * @param {string[]} features
+ * @param {string} projectName
+ * @param {string} root
+ * @returns {import('./utils/fileTree.js').FileTree}
+ */
+function renderFeatures(features, projectName, root) {
+  const tree = new Map([['package.json', '{}']])
+  const data = { ...getTemplateData(features), projectName }
+
+  renderTemplate(path.resolve(templateRoot, 'base'), tree, data)
+  const renderedLayers = new Set()
+  for (const name of features) {
+    renderFeature(getFeature(name), { tree, templateRoot, data, root, renderedLayers })
+  }
+  renderTemplate(path.resolve(templateRoot, 'code'), tree, data)
+  renderTemplate(path.resolve(templateRoot, 'entry'), tree, data)
+
+  const preprocessor = getPreprocessor(features)
+  if (preprocessor) {
+    usePreprocessor(tree, preprocessor)
+  }
+
+  return tree
+}
+
+const isPlainObject = (val) => val && typeof val === 'object' && !Array.isArray(val)
+
+/**
+ * @returns {Object} the fields of `to` that are added or changed from `from`
+ */
+function diffObjects(from, to) {
+  const diff = {}
+  for (const key of Object.keys(to)) {
+    if (isPlainObject(from[key]) && isPlainObject(to[key])) {
+      const nested = diffObjects(from[key], to[key])
+      if (Object.keys(nested).length) {
+        diff[key] = nested
+      }
+    } else if (JSON.stringify(from[key]) !== JSON.stringify(to[key])) {
+      diff[key] = to[key]
+    }
+  }
+  return diff
+}
+
+/**
+ * Add `app.use()` of a Vue plugin to the content of `src/main.js`
+ * @returns {string | undefined} the new content, or `undefined` if it cannot be done safely
+ */
+function addAppPlugin(content, { import: importName, from, use }) {
+  if (content.includes(`from '${from}'`)) {
+    return content
+  }
+
+  const imports = [...content.matchAll(/^import .*$/gm)]
+  if (!imports.length) {
+    return
+  }
+  const lastImport = imports[imports.length - 1]
+  const importEnd = lastImport.index + lastImport[0].length
+  content =
+    content.slice(0, importEnd) + `\nimport ${importName} from '${from}'` + content.slice(importEnd)
+
+  // `createApp(App).mount('#app')` in the default template
+  const chained = content.match(/^createApp\((\w+)\)\.mount\((.*)\)$/m)
+  if (chained) {
+    const [statement, component, container] = chained
+    return content.replace(
+      statement,
+      `const app = createApp(${component})\n\napp.use(${use})\n\napp.mount(${container})`
+    )
+  }
+
+  const mount = content.match(/^(\w+)\.mount\(/m)
+  if (!mount) {
+    return
+  }
+  const app = mount[1]
+  const uses = [...content.matchAll(new RegExp(`^${app}\\.use\\(.*$`, 'gm'))]
+  if (uses.length) {
+    const lastUse = uses[uses.length - 1]
+    const useEnd = lastUse.index + lastUse[0].length
+    return content.slice(0, useEnd) + `\n${app}.use(${use})` + content.slice(useEnd)
+  }
+  return content.slice(0, mount.index) + `${app}.use(${use})\n\n` + content.slice(mount.index)
+}
+
+/**
+ * @typedef {Object} AddFeatureOptions
+ * @property {string} root the root of the existing project
+ * @property {string[]} features names of the features to add, see `FEATURES`;
+ *   `typescript`, `ssr` and `library` cannot be added
+ * @property {(file: string) => boolean | Promise<boolean>} [shouldOverwrite]
+ *   asked for each file that is modified by the user but to be changed by the new features,
+ *   with its path relative to `root`; such files are kept if it's omitted
+ */
+
+/**
+ * @typedef {Object} AddFeatureResult
+ * @property {string[]} added the features that are actually added,
+ *   i.e. excluding the ones that the project already has
+ * @property {string[]} created paths of the new files, relative to `root`
+ * @property {string[]} updated paths of the existing files that are updated,
+ *   i.e. `package.json`, `src/main.js` and the ones not modified by the user
+ * @property {string[]} overwritten paths of the existing files that are replaced
+ * @property {string[]} skipped paths of the existing files that are kept as they are
+ * @property {string[]} removed paths of the files that are replaced by the new features,
+ *   e.g. `base.css` renamed for a CSS preprocessor; only the ones not modified by the user
+ *   and not referred to by any of the `skipped` files
+ * @property {string[]} manualSteps what to do by hand in `src/main.js`,
+ *   when it's too different from the template to be updated automatically
+ */
+
+/**
+ * Add features to a project scaffolded by `create-vue`:
+ * render their template layers into it, merge their dependencies into `package.json`
+ * and install their Vue plugins in `src/main.js`.
+ * The files that are modified by the user are never overwritten without `shouldOverwrite`,
+ * the ones matching their hashes in the metadata are not, even if an older version generated them.
+ * If writing any of the files fails, all of them are restored.
+ * @param {AddFeatureOptions} options
+ * @returns {Promise<AddFeatureResult>}
+ */
+export async function addFeature({ root, features, shouldOverwrite = () => false }) {
+  root = path.resolve(root)
+  if (!fs.existsSync(path.resolve(root, 'package.json'))) {
+    throw new InvalidOptionError(`Cannot find package.json in ${root}`)
+  }
+  for (const feature of features) {
+    if (!getFeature(feature)) {
+      throw new UnknownFeatureError(feature)
+    }
+  }
+  if (features.includes('typescript')) {
+    // all the existing files would have to be converted
+    throw new InvalidOptionError('`typescript` cannot be added to an existing project')
+  }
+  if (features.includes('ssr')) {
+    // the entry files would have to be restructured
+    throw new InvalidOptionError('`ssr` cannot be added to an existing project')
+  }
+  if (features.includes('library')) {
+    // the application would have to be turned into a playground
+    throw new InvalidOptionError('`library` cannot be added to an existing project')
+  }
+
+  const existingFeatures = detectFeatures(root)
+  const added = sortFeatures(features).filter((name) => !existingFeatures.includes(name))
+  const result = {
+    added,
+    created: [],
+    updated: [],
+    overwritten: [],
+    skipped: [],
+    removed: [],
+    manualSteps: []
+  }
+  if (!added.length) {
+    return result
+  }
+
+  const allFeatures = sortFeatures([...existingFeatures, ...added])
+  const conflict = findConflict(allFeatures)
+  if (conflict) {
+    throw new InvalidOptionError(
+      `\`${conflict[0].name}\` and \`${conflict[1].name}\` cannot be used together`
+    )
+  }
+
+  // Render the project with the existing features and with the new ones,
+  // the existing files that are the same as the former are not modified by the user
+  const metadata = readMetadata(root)
+  // and neither are the ones that are the same as they were generated, maybe by an older version
+  const isUnmodified = (relativePath, content, oldContent) =>
+    (oldContent !== undefined && content.equals(oldContent)) ||
+    Boolean(metadata && metadata.files[relativePath] === hashContent(content))
+  const projectName = (metadata && metadata.options.projectName) || path.basename(root)
+  const oldTree = renderFeatures(existingFeatures, projectName, root)
+  const newTree = renderFeatures(allFeatures, projectName, root)
+  const data = getTemplateData(allFeatures)
+  const needsTypeScript = existingFeatures.includes('typescript')
+
+  // Nothing is written until all the questions are answered
+  const writes = []
+  // hashes of the files that are replaced with the ones generated with the new features,
+  // the others are recorded as they were
+  const generatedHashes = {}
+  for (const [file, generated] of newTree) {
+    const newContent = Buffer.from(generated)
+    const oldContent = oldTree.has(file) ? Buffer.from(oldTree.get(file)) : undefined
+    if (oldContent && oldContent.equals(newContent)) {
+      // not changed by the new features
+      continue
+    }
+    const relativePath = needsTypeScript ? getTypeScriptPath(file) : file
+    const dest = path.resolve(root, relativePath)
+    const content = fs.existsSync(dest) ? fs.readFileSync(dest) : undefined
+    const writeGenerated = (files) => {
+      writes.push([dest, newContent])
+      generatedHashes[relativePath] = hashContent(newContent)
+      files.push(relativePath)
+    }
+
+    if (file === 'package.json') {
+      // only add the fields introduced by the new features,
+      // so that the changes of the user, e.g. upgraded dependencies, are kept
+      const pkg = sortDependencies(
+        deepMerge(
+          JSON.parse(content.toString()),
+          diffObjects(JSON.parse(oldContent.toString()), JSON.parse(newContent.toString()))
+        )
+      )
+      writes.push([dest, JSON.stringify(pkg, null, 2) + '\n'])
+      result.updated.push(relativePath)
+    } else if (!content) {
+      writeGenerated(result.created)
+    } else if (content.equals(newContent)) {
+      continue
+    } else if (isUnmodified(relativePath, content, oldContent)) {
+      writeGenerated(result.updated)
+    } else if (file === 'src/main.js') {
+      // it's usually changed for more plugins, so add the new ones to it instead of replacing it
+      let mainContent = content.toString()
+      for (const name of added) {
+        const entry = getEntry(getFeature(name), data)
+        const updated = entry && addAppPlugin(mainContent, entry)
+        if (updated) {
+          mainContent = updated
+        } else if (entry) {
+          result.manualSteps.push(
+            `import ${entry.import} from '${entry.from}'`,
+            ...(entry.instance ? [`const ${entry.instance} = ${entry.create}`] : []),
+            `app.use(${entry.use})`
+          )
+        }
+      }
+      if (mainContent !== content.toString()) {
+        writes.push([dest, mainContent])
+        result.updated.push(relativePath)
+      }
+    } else if (await shouldOverwrite(relativePath)) {
+      writeGenerated(result.overwritten)
+    } else {
+      result.skipped.push(relativePath)
+    }
+  }
+
+  // the skipped files keep referring to the files they did, e.g. `App.vue` importing `base.css`
+  const keptContents = result.skipped.map((file) =>
+    fs.readFileSync(path.resolve(root, file), 'utf8')
+  )
+  for (const [file, oldContent] of oldTree) {
+    const relativePath = needsTypeScript ? getTypeScriptPath(file) : file
+    const dest = path.resolve(root, relativePath)
+    if (
+      !newTree.has(file) &&
+      fs.existsSync(dest) &&
+      isUnmodified(relativePath, fs.readFileSync(dest), Buffer.from(oldContent)) &&
+      !keptContents.some((content) => content.includes(path.posix.basename(relativePath)))
+    ) {
+      result.removed.push(relativePath)
+    }
+  }
+
+  for (const file of result.removed) {
+    writes.push([path.resolve(root, file), undefined])
+  }
+
+  // so that `upgrade` regenerates the project with the new features
+  if (metadata) {
+    const files = { ...metadata.files, ...generatedHashes }
+    for (const file of result.removed) {
+      delete files[file]
+    }
+    writes.push([
+      path.resolve(root, METADATA_FILE),
+      stringifyMetadata({ ...metadata.options, features: allFeatures }, files)
+    ])
+  }
+
+  // a failure halfway would leave the project with half of the new features
+  writeFilesOrRollback(writes)
+
+  return result
+}
+
+export default addFeature
@@ -0,0 +1,364 @@
+// @ts-check
+
+import fs from 'fs'
+import path from 'path'
+
+import renderTemplate from './utils/renderTemplate.js'
+import renderFeature from './utils/renderFeature.js'
+import { writeTree } from './utils/fileTree.js'
+import { canSafelyOverwrite } from './utils/emptyDir.js'
+import { createStagingDir, replaceDirContents, removeDir } from './utils/staging.js'
+import mergeDirectory from './utils/mergeDirectory.js'
+import generateReadme from './utils/generateReadme.js'
+import usePreprocessor from './utils/preprocessor.js'
+import { getTypeScriptPath } from './utils/typescript.js'
+import { METADATA_FILE, hashFiles, stringifyMetadata } from './utils/metadata.js'
+import getCommand, { PACKAGE_MANAGERS } from './utils/getCommand.js'
+import { findWorkspace, isWorkspacePackage, useWorkspaceVersions } from './utils/workspace.js'
+import { isValidPackageName } from './utils/packageName.js'
+import {
+  FEATURES,
+  getFeature,
+  sortFeatures,
+  findConflict,
+  getPreprocessor,
+  getTemplateData
+} from './utils/features.js'
+import {
+  CreateVueError,
+  InvalidOptionError,
+  InvalidPackageNameError,
+  UnknownFeatureError,
+  TargetDirectoryNotEmptyError,
+  IncompatiblePluginError,
+  ScaffoldFailedError
+} from './utils/errors.js'
+
+export {
+  CreateVueError,
+  InvalidOptionError,
+  InvalidPackageNameError,
+  UnknownFeatureError,
+  TargetDirectoryNotEmptyError,
+  IncompatiblePluginError,
+  ScaffoldFailedError
+}
+
+export { FEATURES }
+export { addFeature } from './addFeature.js'
+export { upgradeProject } from './upgradeProject.js'
+
+/** @typedef {import('./utils/fileTree.js').FileTree} FileTree */
+
+/**
+ * Run all the steps of rendering the project in memory
+ * @returns {FileTree} the files of the project
+ */
+function renderProject({
+  root,
+  packageName,
+  projectName,
+  packageManager,
+  selectedFeatures,
+  plugins,
+  customTemplateDirs,
+  templateData,
+  workspace
+}) {
+  const {
+    needsTypeScript,
+    needsVitest,
+    needsCypressCT,
+    needsE2eTesting,
+    needsEslint,
+    needsSsr,
+    needsLibrary
+  } = templateData
+
+  /** @type {FileTree} */
+  const tree = new Map()
+  const pkg = { name: packageName, version: '0.0.0' }
+  tree.set('package.json', JSON.stringify(pkg, null, 2))
+
+  // todo:
+  // work around the esbuild issue that `import.meta.url` cannot be correctly transpiled
+  // when bundling for node and the format is cjs
+  // const templateRoot = new URL('./template', import.meta.url).pathname
+  const templateRoot = path.resolve(__dirname, 'template')
+  const render = function render(templateName) {
+    const templateDir = path.resolve(templateRoot, templateName)
+    renderTemplate(templateDir, tree, templateData)
+  }
+
+  // Render base template
+  render('base')
+
+  const renderedLayers = new Set()
+  const renderFeatureOrPlugin = (feature) =>
+    renderFeature(feature, { tree, templateRoot, data: templateData, root, renderedLayers })
+
+  // Add configs of the selected features.
+  selectedFeatures.map(getFeature).forEach(renderFeatureOrPlugin)
+
+  // Render code template.
+  render('code')
+
+  // Render entry file (main.js/ts).
+  render('entry')
+
+  // Render plugins.
+  // They are rendered after the code, so that they can replace the built-in files.
+  plugins.forEach(renderFeatureOrPlugin)
+
+  // Render custom templates.
+  // They are rendered before the cleanup,
+  // so they are treated the same as the built-in layers.
+  for (const templateDir of customTemplateDirs) {
+    renderTemplate(templateDir, tree, templateData)
+  }
+
+  // Cleanup.
+
+  // after all the templates, so that the stylesheets of the custom ones are rewritten too
+  const preprocessor = getPreprocessor(selectedFeatures)
+  if (preprocessor) {
+    usePreprocessor(tree, preprocessor)
+  }
+
+  if (needsTypeScript) {
+    // rename the files to their TypeScript variants, e.g. `.js` to `.ts`
+    for (const [file, content] of [...tree]) {
+      const renamed = getTypeScriptPath(file)
+      if (renamed !== file) {
+        tree.delete(file)
+        tree.set(renamed, content)
+      }
+    }
+  }
+
+  if (workspace) {
+    useWorkspaceVersions(tree, workspace)
+  }
+
+  // README generation
+  tree.set(
+    'README.md',
+    generateReadme({
+      projectName,
+      packageManager,
+      workspacePackage: workspace && packageName,
+      needsTypeScript,
+      needsVitest,
+      needsCypressCT,
+      needsE2eTesting,
+      needsEslint,
+      needsSsr,
+      needsLibrary
+    })
+  )
+
+  // so that the project can be upgraded with the same options later
+  tree.set(
+    METADATA_FILE,
+    stringifyMetadata(
+      {
+        features: selectedFeatures,
+        packageName,
+        projectName,
+        packageManager,
+        workspace: Boolean(workspace)
+      },
+      hashFiles(tree)
+    )
+  )
+
+  return tree
+}
+
+/**
+ * @typedef {Object} CreateProjectOptions
+ * @property {string} targetDir the directory to scaffold the project in, relative to `process.cwd()`
+ * @property {string} packageName the `name` field of the generated `package.json`
+ * @property {string[]} [features] names of any of the `FEATURES`: `typescript`, `jsx`,
+ *   `library` (a component library instead of an application), `i18n`,
+ *   `router`, `pinia`, `vuex`, `ssr`, `pwa`, `sass`, `less`, `stylus`, `tailwind`,
+ *   `unocss`, `vitest`,
+ *   `cypress-ct` (unit testing with Cypress Component Testing), `e2e` (Cypress), `eslint`
+ * @property {boolean} [overwrite] remove the existing files in `targetDir` if it's not empty
+ * @property {boolean} [backup] with `overwrite`, move the existing files to a sibling directory
+ *   named like `<targetDir>.backup-<timestamp>` instead of removing them
+ * @property {boolean} [merge] keep the existing files in `targetDir` if it's not empty,
+ *   and add the missing ones, see `conflicts` of the result
+ * @property {string} [projectName] the title of the generated README, defaults to the directory name
+ * @property {string} [packageManager] the package manager used in the instructions, defaults to `npm`,
+ *   one of `npm`, `yarn`, `yarn-berry` (Yarn 2+), `pnpm` and `bun`
+ * @property {string[]} [templates] paths to extra template directories, rendered in order after the built-in ones
+ * @property {import('./utils/plugins.js').Plugin[]} [plugins] plugins, e.g. loaded by `loadPlugin()`,
+ *   rendered in order after the built-in features
+ * @property {Object} [answers] the answers to the prompts of the plugins
+ * @property {boolean} [dryRun] render the project without writing it, see `tree` of the result;
+ *   `targetDir` may be non-empty then
+ * @property {boolean} [workspace] if `targetDir` is a package of a workspace
+ *   (`pnpm-workspace.yaml`, the `workspaces` field of `package.json` or `lerna.json`),
+ *   use the versions of the dependencies declared in its root,
+ *   and run the commands in its root filtered to the project
+ */
+
+/**
+ * @typedef {Object} CreateProjectResult
+ * @property {string} root absolute path to the scaffolded project
+ * @property {string[]} files paths of the written files, relative to `root`
+ * @property {string[]} [conflicts] with `merge`, paths of the existing files that are different
+ *   from the generated ones; they are kept, and the generated versions are written next to them
+ *   as `<file>.create-vue`
+ * @property {string} [backupDir] with `backup`, absolute path to the backup of the existing files
+ * @property {FileTree} [tree] with `dryRun`, the contents of the files that would be written
+ * @property {{ install: string, dev: string }} commands commands to run in `root` to get started,
+ *   or in `workspaceRoot` if it's set
+ * @property {string} [workspaceRoot] with `workspace`, absolute path to the root of the workspace
+ *   that the project is a package of
+ */
+
+/**
+ * Scaffold a Vue project without any user interaction.
+ * Never exits the process; throws a `CreateVueError` on invalid input.
+ * The project is rendered in memory, then written to a staging directory
+ * and moved to `targetDir` when it's complete;
+ * if any step fails, a `ScaffoldFailedError` is thrown and `targetDir` is left untouched.
+ * @param {CreateProjectOptions} options
+ * @returns {Promise<CreateProjectResult>}
+ */
+export async function createProject({
+  targetDir,
+  packageName,
+  features = [],
+  overwrite = false,
+  backup = false,
+  merge = false,
+  projectName,
+  packageManager = 'npm',
+  templates = [],
+  plugins = [],
+  answers = {},
+  dryRun = false,
+  workspace = false
+}) {
+  if (typeof targetDir !== 'string' || !targetDir) {
+    throw new InvalidOptionError('`targetDir` must be a non-empty string')
+  }
+  if (!isValidPackageName(packageName)) {
+    throw new InvalidPackageNameError(packageName)
+  }
+  if (!PACKAGE_MANAGERS.includes(packageManager)) {
+    throw new InvalidOptionError(
+      `\`packageManager\` must be one of ${PACKAGE_MANAGERS.join(', ')}, got "${packageManager}"`
+    )
+  }
+  for (const feature of features) {
+    if (!getFeature(feature)) {
+      throw new UnknownFeatureError(feature)
+    }
+  }
+  const selectedFeatures = sortFeatures(features)
+  const conflict = findConflict(selectedFeatures)
+  if (conflict) {
+    throw new InvalidOptionError(
+      `\`${conflict[0].name}\` and \`${conflict[1].name}\` cannot be used together`
+    )
+  }
+
+  if (overwrite && merge) {
+    throw new InvalidOptionError('`overwrite` and `merge` cannot be used together')
+  }
+  if (backup && !overwrite) {
+    throw new InvalidOptionError('`backup` can only be used with `overwrite`')
+  }
+
+  const customTemplateDirs = templates.map((template) => path.resolve(template))
+  for (const templateDir of customTemplateDirs) {
+    if (!fs.existsSync(templateDir) || !fs.statSync(templateDir).isDirectory()) {
+      throw new InvalidOptionError(`Template directory "${templateDir}" does not exist`)
+    }
+  }
+
+  const root = path.resolve(targetDir)
+  projectName = projectName || path.basename(root)
+  const enclosingWorkspace = workspace ? findWorkspace(path.dirname(root)) : undefined
+  const workspaceOfProject =
+    enclosingWorkspace && isWorkspacePackage(enclosingWorkspace, root)
+      ? enclosingWorkspace
+      : undefined
+  // the project name is also used in the generated files, e.g. the PWA manifest
+  const templateData = { ...answers, ...getTemplateData(selectedFeatures, plugins), projectName }
+
+  for (const plugin of plugins) {
+    const reason = plugin.validate && plugin.validate(templateData)
+    if (typeof reason === 'string') {
+      throw new IncompatiblePluginError(plugin.name, reason)
+    }
+  }
+
+  if (!dryRun && !merge && !overwrite && !canSafelyOverwrite(root)) {
+    throw new TargetDirectoryNotEmptyError(targetDir)
+  }
+
+  let tree
+  try {
+    tree = renderProject({
+      root,
+      packageName,
+      projectName,
+      packageManager,
+      selectedFeatures,
+      plugins,
+      customTemplateDirs,
+      templateData,
+      workspace: workspaceOfProject
+    })
+  } catch (e) {
+    throw e instanceof CreateVueError ? e : new ScaffoldFailedError(targetDir, e)
+  }
+
+  const result = {
+    root,
+    files: [...tree.keys()].sort(),
+    commands: {
+      install: getCommand(packageManager, 'install'),
+      dev: getCommand(packageManager, 'dev', undefined, workspaceOfProject && packageName)
+    },
+    workspaceRoot: workspaceOfProject && workspaceOfProject.root
+  }
+
+  if (dryRun) {
+    return { ...result, tree }
+  }
+
+  if (merge && !canSafelyOverwrite(root)) {
+    try {
+      return { ...result, ...mergeDirectory(tree, root) }
+    } catch (e) {
+      throw new ScaffoldFailedError(targetDir, e)
+    }
+  }
+
+  // The files are written to a staging directory first,
+  // and moved into place only if all of them are written
+  const stagingDir = createStagingDir(root)
+  try {
+    writeTree(tree, stagingDir)
+  } catch (e) {
+    removeDir(stagingDir)
+    throw new ScaffoldFailedError(targetDir, e)
+  }
+
+  let backupPath
+  try {
+    backupPath = replaceDirContents(stagingDir, root, { backup })
+  } catch (e) {
+    throw new ScaffoldFailedError(targetDir, e)
+  }
+
+  return { ...result, backupDir: backupPath }
+}
+
+export default createProject
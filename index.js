@@ -1,86 +1,367 @@
 #!/usr/bin/env node
 // @ts-check
 
-import fs from 'fs'
 import path from 'path'
 
 import minimist from 'minimist'
 import prompts from 'prompts'
-import { red, green, bold } from 'kolorist'
-
-import renderTemplate from './utils/renderTemplate.js'
-import { postOrderDirectoryTraverse, preOrderDirectoryTraverse } from './utils/directoryTraverse.js'
-import generateReadme from './utils/generateReadme.js'
+import { red, green, yellow, bold } from 'kolorist'
+
+import createProject, { CreateVueError } from './createProject.js'
+import addFeature from './addFeature.js'
+import upgradeProject from './upgradeProject.js'
+import { canSafelyOverwrite } from './utils/emptyDir.js'
+import formatTree from './utils/formatTree.js'
+import detectPackageManager from './utils/detectPackageManager.js'
 import getCommand from './utils/getCommand.js'
+import runCommand from './utils/runCommand.js'
+import { isValidPackageName, toValidPackageName } from './utils/packageName.js'
+import { loadPreset, savePreset, getUserConfigPath } from './utils/presets.js'
+import { getInitialAnswers, loadPlugin } from './utils/plugins.js'
+import { findWorkspace, isWorkspacePackage, getPackagesDir } from './utils/workspace.js'
+import {
+  FEATURES,
+  findConflict,
+  getFeaturePrompts,
+  toAnswers,
+  fromAnswers
+} from './utils/features.js'
+
+const SUPPORTED_PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm', 'bun']
+
+/**
+ * Render the project in memory and print the result,
+ * so that the output is exactly the same as a real run,
+ * while nothing is written to the target directory.
+ */
+async function dryRun(options, rootForDisplay) {
+  const { files, tree } = await createProject({ ...options, dryRun: true })
+
+  console.log(`\n${bold('Files:')}\n`)
+  console.log(formatTree(rootForDisplay, files))
+  console.log(`\n${bold('package.json:')}\n`)
+  console.log(tree.get('package.json').toString())
+  console.log(`\n${bold('README.md:')}\n`)
+  console.log(tree.get('README.md').toString())
+}
 
-function isValidPackageName(projectName) {
-  return /^(?:@[a-z0-9-*~][a-z0-9-*._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/.test(projectName)
+/**
+ * Report the errors in the options, e.g. a plugin rejecting the selected features,
+ * as a message instead of a stack trace
+ */
+function exitOnCreateVueError(e) {
+  if (e instanceof CreateVueError) {
+    console.log(red('✖') + ` ${e.message}`)
+    process.exit(1)
+  }
+  throw e
 }
 
-function toValidPackageName(projectName) {
-  return projectName
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, '-')
-    .replace(/^[._]/, '')
-    .replace(/[^a-z0-9-~]+/g, '-')
+/**
+ * `git init` the project and commit all the files.
+ * Run after the dependencies are installed, so the installed files are
+ * excluded by the `.gitignore` from the template.
+ */
+function initGitRepository(root) {
+  if (!runCommand('git --version', root, { silent: true })) {
+    console.log(`\n${red('✖')} Cannot find git, skipped initializing the repository.`)
+    process.exitCode = 1
+    return
+  }
+
+  if (runCommand('git rev-parse --is-inside-work-tree', root, { silent: true })) {
+    console.log(`\nThe project is already inside a git repository, skipped \`git init\`.`)
+    return
+  }
+
+  console.log(`\nInitializing git repository...\n`)
+  const isCommitted =
+    runCommand('git init', root) &&
+    runCommand('git add -A', root) &&
+    runCommand('git commit -q -m "Initial commit"', root)
+
+  if (!isCommitted) {
+    console.log(`\n${red('✖')} Failed to initialize the git repository, see the output above.`)
+    console.log(`  The project files are left untouched, you can commit them manually.`)
+    process.exitCode = 1
+  }
 }
 
-function canSafelyOverwrite(dir) {
-  return !fs.existsSync(dir) || fs.readdirSync(dir).length === 0
+/**
+ * `create-vue add <feature...>`, add features to the project in the current directory
+ */
+async function add(features, { cwd, force, preferredPackageManager }) {
+  if (!features.length) {
+    const addable = FEATURES.map(({ name }) => name).filter(
+      (name) => !['typescript', 'ssr', 'library'].includes(name)
+    )
+    console.log(red('✖') + ` Please specify the features to add, any of ${addable.join(', ')}`)
+    process.exit(1)
+  }
+
+  const result = await addFeature({
+    root: cwd,
+    features,
+    shouldOverwrite: async (file) => {
+      if (force) {
+        return true
+      }
+      const { overwrite } = await prompts(
+        {
+          name: 'overwrite',
+          type: 'confirm',
+          message: `${file} has been modified, overwrite it?`,
+          initial: false
+        },
+        {
+          onCancel: () => {
+            console.log(red('✖') + ' Operation cancelled')
+            process.exit(1)
+          }
+        }
+      )
+      return overwrite
+    }
+  }).catch(exitOnCreateVueError)
+
+  if (!result.added.length) {
+    console.log(`The project already has ${features.join(', ')}, nothing to add.`)
+    return
+  }
+
+  console.log(`\nAdded ${result.added.join(', ')} to ${cwd}\n`)
+  for (const file of result.created) {
+    console.log(`  ${green('created')} ${file}`)
+  }
+  for (const file of [...result.updated, ...result.overwritten]) {
+    console.log(`  ${green('updated')} ${file}`)
+  }
+  for (const file of result.skipped) {
+    console.log(`  ${yellow('skipped')} ${file} (kept your changes, use --force to overwrite)`)
+  }
+  for (const file of result.removed) {
+    console.log(`  ${green('removed')} ${file}`)
+  }
+  if (result.manualSteps.length) {
+    console.log(`\nCannot update the entry file automatically, please add the following to it:\n`)
+    for (const line of result.manualSteps) {
+      console.log(`  ${bold(line)}`)
+    }
+  }
+
+  // the detection starts from the parent directory, which is the project itself here
+  const packageManager = detectPackageManager(path.resolve(cwd, 'src'), preferredPackageManager)
+  console.log(`\nDone. Now run:\n`)
+  console.log(`  ${bold(green(getCommand(packageManager, 'install')))}`)
+  console.log()
 }
 
-function emptyDir(dir) {
-  postOrderDirectoryTraverse(
-    dir,
-    (dir) => fs.rmdirSync(dir),
-    (file) => fs.unlinkSync(file)
-  )
+/**
+ * `create-vue upgrade`, regenerate the project in the current directory
+ * and merge the changes of the templates into it
+ */
+async function upgrade({ cwd }) {
+  const result = await upgradeProject({ root: cwd }).catch(exitOnCreateVueError)
+
+  console.log(`\nUpgraded from create-vue ${result.from} to ${result.to}\n`)
+  for (const file of result.created) {
+    console.log(`  ${green('created')}  ${file}`)
+  }
+  for (const file of result.updated) {
+    console.log(`  ${green('updated')}  ${file}`)
+  }
+  for (const file of result.merged) {
+    console.log(`  ${green('merged')}   ${file}`)
+  }
+  for (const file of result.conflicts) {
+    console.log(`  ${red('conflict')} ${file}`)
+  }
+  for (const file of result.skipped) {
+    console.log(`  ${yellow('skipped')}  ${file}`)
+  }
+
+  if (result.conflicts.length) {
+    console.log(`\nResolve the conflicts marked with <<<<<<< and >>>>>>> in the files above.`)
+    console.log(
+      `The modified files are merged against the versions they were generated as, ` +
+        `which are looked up in the git history of the project: ` +
+        `commit the generated files before modifying them, so that later upgrades can merge them.`
+    )
+    process.exitCode = 1
+  } else {
+    console.log(`\nDone.`)
+  }
+  console.log()
 }
 
 async function init() {
   const cwd = process.cwd()
   // possible options:
+  // add <feature...> (add features to the project in the current directory)
+  // upgrade (merge the changes of the templates into the project in the current directory)
   // --default
-  // --typescript / --ts
-  // --jsx
-  // --router / --vue-router
-  // --vuex
-  // --with-tests / --tests / --cypress
-  // --force (for force overwriting)
+  // --<feature> for each of the features in `utils/features.js`, e.g.:
+  //   --typescript / --ts
+  //   --library / --lib (a component library, with the app as its playground)
+  //   --i18n / --vue-i18n
+  //   --router / --vue-router
+  //   --ssr (server-side rendering)
+  //   --pwa (progressive web app)
+  //   --sass / --less / --stylus (CSS preprocessors)
+  //   --tailwind / --tailwindcss / --unocss (utility-first CSS frameworks)
+  //   --vitest (unit testing with Vitest)
+  //   --cypress-ct (unit testing with Cypress Component Testing)
+  //   --e2e (end-to-end testing with Cypress)
+  // --with-tests / --tests / --cypress (same as `--cypress-ct --e2e`, unless `--vitest` is set)
+  // --force (for force overwriting, or overwriting modified files in `add`)
+  // --backup (with --force, move the existing files to a backup directory instead of removing them)
+  // --merge (keep the existing files in the target directory and add the missing ones)
+  // --preset <file-or-name> (read the answers from a preset)
+  // --save-preset <name> (save the answers as a named preset)
+  // --dry-run (print the files to be generated without writing them)
+  // --install (install dependencies after scaffolding)
+  // --git (initialize a git repository with an initial commit)
+  // --workspace (create the project in the packages directory of the enclosing workspace)
+  // --no-workspace (create a standalone project even if it's in a workspace)
+  // --package-manager npm|yarn|pnpm|bun (detected from the environment if omitted)
+  // --template <path> (render an extra template directory, can be repeated)
+  // --plugin <package-or-path> (add the features of a third-party plugin, can be repeated)
   const argv = minimist(process.argv.slice(2), {
     alias: {
-      typescript: ['ts'],
       'with-tests': ['tests', 'cypress'],
-      router: ['vue-router']
+      ...Object.fromEntries(
+        FEATURES.filter(({ aliases }) => aliases).map(({ name, aliases }) => [name, aliases])
+      )
     },
-    // all arguments are treated as booleans
-    boolean: true
+    boolean: [
+      'default',
+      ...FEATURES.map(({ name }) => name),
+      'with-tests',
+      'force',
+      'backup',
+      'merge',
+      'dry-run',
+      'install',
+      'git',
+      'workspace'
+    ],
+    string: ['preset', 'save-preset', 'package-manager', 'template', 'plugin'],
+    // `null` instead of `false`, so that we can tell if the flag is omitted
+    // and ask the user instead
+    default: { install: null, git: null, workspace: null }
   })
 
+  if (argv._[0] === 'add') {
+    await add(argv._.slice(1), {
+      cwd,
+      force: argv.force,
+      preferredPackageManager: argv['package-manager']
+    })
+    return
+  }
+  if (argv._[0] === 'upgrade') {
+    await upgrade({ cwd })
+    return
+  }
+
+  // `--with-tests` is a shorthand for `--cypress-ct --e2e`,
+  // or `--vitest --e2e` if Vitest is chosen for unit testing;
+  // a library has no app to be tested end-to-end, so it's only unit tested
+  const featureFlags = FEATURES.map(({ name }) => name).filter(
+    (name) =>
+      argv[name] ||
+      (argv.tests && ((name === 'e2e' && !argv.library) || (name === 'cypress-ct' && !argv.vitest)))
+  )
+
   // if any of the feature flags is set, we would skip the feature prompts
-  // use `??` instead of `||` once we drop Node.js 12 support
-  const isFeatureFlagsUsed =
-    typeof (argv.default || argv.ts || argv.jsx || argv.router || argv.vuex || argv.tests) ===
-    'boolean'
+  const isFeatureFlagsUsed = argv.default || featureFlags.length > 0
+
+  let preset = {}
+  if (argv.preset) {
+    try {
+      preset = loadPreset(argv.preset, cwd)
+    } catch (e) {
+      console.log(red('✖') + ` ${e.message}`)
+      process.exit(1)
+    }
+  }
+
+  let plugins = []
+  try {
+    plugins = await Promise.all(
+      [].concat(argv.plugin || []).map((plugin) => loadPlugin(plugin, cwd))
+    )
+  } catch (e) {
+    console.log(red('✖') + ` ${e.message}`)
+    process.exit(1)
+  }
+  const pluginPrompts = plugins.flatMap((plugin) => plugin.prompts || [])
+
+  if (argv['package-manager'] && !SUPPORTED_PACKAGE_MANAGERS.includes(argv['package-manager'])) {
+    console.log(
+      red('✖') +
+        ` Unsupported package manager "${argv['package-manager']}", ` +
+        `expected one of ${SUPPORTED_PACKAGE_MANAGERS.join(', ')}`
+    )
+    process.exit(1)
+  }
 
-  let targetDir = argv._[0]
+  const conflict = findConflict(featureFlags)
+  if (conflict) {
+    console.log(
+      red('✖') +
+        ` Cannot use both ${conflict[0].title || conflict[0].name} and ` +
+        `${conflict[1].title || conflict[1].name}, please choose one of them`
+    )
+    process.exit(1)
+  }
+
+  let targetDir = argv._[0] || preset.projectName
   const defaultProjectName = !targetDir ? 'vue-project' : targetDir
 
+  // In a monorepo, the project can be created in the directory of its packages, e.g. `packages/`,
+  // instead of the current directory, so that it becomes one of them
+  const workspace = findWorkspace(cwd)
+  const packagesDir = workspace && getPackagesDir(workspace)
+  if (argv.workspace && !packagesDir) {
+    console.log(red('✖') + ' Cannot find the packages directory of a workspace to create it in')
+    process.exit(1)
+  }
+  let isInPackagesDir = !!argv.workspace
+  // relative to `cwd`
+  const getTargetPath = () =>
+    isInPackagesDir
+      ? path.relative(cwd, path.join(workspace.root, packagesDir, path.basename(targetDir)))
+      : targetDir
+
   const forceOverwrite = argv.force
+  const forceMerge = argv.merge
+  if (forceOverwrite && forceMerge) {
+    console.log(red('✖') + ' Cannot use both --force and --merge, please choose one of them')
+    process.exit(1)
+  }
+  if (argv.backup && !forceOverwrite) {
+    console.log(red('✖') + ' --backup can only be used with --force')
+    process.exit(1)
+  }
+  const isDryRun = argv['dry-run']
 
   let result = {}
 
   try {
+    // Answers from the preset are fed to the prompts below,
+    // so that they go through the same validation as the user input.
+    // Questions that are not covered by the preset are still prompted.
+    prompts.override(preset)
+
     // Prompts:
     // - Project name:
-    //   - whether to overwrite the existing directory or not?
+    //   - what to do with the existing files in the target directory?
     //   - enter a valid package name for package.json
-    // - Project language: JavaScript / TypeScript
-    // - Add JSX Support?
-    // - Install Vue Router for SPA development?
-    // - Install Vuex for state management? (TODO)
-    // - Add Cypress for testing?
+    // - Features, in the order of `utils/features.js`:
+    //   a toggle for each feature, or a select for each group of mutually exclusive features
+    // - Install dependencies now?
+    // - Initialize a git repository?
     result = await prompts(
       [
         {
@@ -91,19 +372,53 @@ async function init() {
           onState: (state) => (targetDir = String(state.value).trim() || defaultProjectName)
         },
         {
-          name: 'shouldOverwrite',
-          type: () => (canSafelyOverwrite(targetDir) || forceOverwrite ? null : 'confirm'),
+          name: 'inPackagesDir',
+          type: () =>
+            !packagesDir ||
+            isFeatureFlagsUsed ||
+            argv.workspace !== null ||
+            targetDir === '.' ||
+            isWorkspacePackage(workspace, path.resolve(cwd, targetDir))
+              ? null
+              : 'toggle',
+          message: () =>
+            `Create it in ${path.relative(cwd, path.join(workspace.root, packagesDir)) || '.'}/ ` +
+            'as a package of the workspace?',
+          initial: true,
+          active: 'Yes',
+          inactive: 'No',
+          onState: (state) => (isInPackagesDir = state.value)
+        },
+        {
+          name: 'existingFiles',
+          type: () =>
+            canSafelyOverwrite(getTargetPath()) || forceOverwrite || forceMerge || isDryRun
+              ? null
+              : 'select',
           message: () => {
             const dirForPrompt =
-              targetDir === '.' ? 'Current directory' : `Target directory "${targetDir}"`
-
-            return `${dirForPrompt} is not empty. Remove existing files and continue?`
-          }
+              getTargetPath() === '.'
+                ? 'Current directory'
+                : `Target directory "${getTargetPath()}"`
+
+            return `${dirForPrompt} is not empty. What to do with the existing files?`
+          },
+          choices: [
+            { title: 'Cancel operation', value: 'cancel' },
+            { title: 'Remove them and continue', value: 'remove' },
+            { title: 'Move them to a backup directory and continue', value: 'backup' },
+            {
+              title: 'Merge',
+              description: 'keep them, add the missing files and list the conflicting ones',
+              value: 'merge'
+            }
+          ],
+          initial: 0
         },
         {
           name: 'overwriteChecker',
           type: (prev, values = {}) => {
-            if (values.shouldOverwrite === false) {
+            if (values.existingFiles === 'cancel') {
               throw new Error(red('✖') + ' Operation cancelled')
             }
             return null
@@ -116,42 +431,37 @@ async function init() {
           initial: () => toValidPackageName(targetDir),
           validate: (dir) => isValidPackageName(dir) || 'Invalid package.json name'
         },
+        ...getFeaturePrompts().map((question) => ({
+          ...question,
+          type: (...args) =>
+            isFeatureFlagsUsed
+              ? null
+              : typeof question.type === 'function'
+              ? question.type(...args)
+              : question.type
+        })),
+        // like the feature prompts, they are skipped if the feature flags are used
+        ...pluginPrompts.map((question) => ({
+          ...question,
+          type: (...args) =>
+            isFeatureFlagsUsed
+              ? null
+              : typeof question.type === 'function'
+              ? question.type(...args)
+              : question.type
+        })),
         {
-          name: 'needsTypeScript',
-          type: () => (isFeatureFlagsUsed ? null : 'toggle'),
-          message: 'Add TypeScript?',
-          initial: false,
-          active: 'Yes',
-          inactive: 'No'
-        },
-        {
-          name: 'needsJsx',
-          type: () => (isFeatureFlagsUsed ? null : 'toggle'),
-          message: 'Add JSX Support?',
+          name: 'shouldInstall',
+          type: () => (isFeatureFlagsUsed || isDryRun || argv.install !== null ? null : 'toggle'),
+          message: 'Install dependencies now?',
           initial: false,
           active: 'Yes',
           inactive: 'No'
         },
         {
-          name: 'needsRouter',
-          type: () => (isFeatureFlagsUsed ? null : 'toggle'),
-          message: 'Add Vue Router for Single Page Application development?',
-          initial: false,
-          active: 'Yes',
-          inactive: 'No'
-        },
-        {
-          name: 'needsVuex',
-          type: () => (isFeatureFlagsUsed ? null : 'toggle'),
-          message: 'Add Vuex for state management?',
-          initial: false,
-          active: 'Yes',
-          inactive: 'No'
-        },
-        {
-          name: 'needsTests',
-          type: () => (isFeatureFlagsUsed ? null : 'toggle'),
-          message: 'Add Cypress for testing?',
+          name: 'shouldInitGit',
+          type: () => (isFeatureFlagsUsed || isDryRun || argv.git !== null ? null : 'toggle'),
+          message: 'Initialize a git repository?',
           initial: false,
           active: 'Yes',
           inactive: 'No'
@@ -171,146 +481,108 @@ async function init() {
   // `initial` won't take effect if the prompt type is null
   // so we still have to assign the default values here
   const {
-    packageName = toValidPackageName(defaultProjectName),
-    shouldOverwrite,
-    needsJsx = argv.jsx,
-    needsTypeScript = argv.typescript,
-    needsRouter = argv.router,
-    needsVuex = argv.vuex,
-    needsTests = argv.tests
+    packageName = preset.packageName || toValidPackageName(defaultProjectName),
+    existingFiles,
+    shouldInstall = !!argv.install,
+    shouldInitGit = !!argv.git
   } = result
-  const root = path.join(cwd, targetDir)
+  // The feature prompts are skipped with the feature flags, so the preset cannot answer them;
+  // its features are added to the flags instead, except the ones conflicting with the flags
+  const presetFeatures = fromAnswers(preset).filter(
+    (name) => !featureFlags.some((flag) => findConflict([flag, name]))
+  )
+  const featureAnswers = { ...toAnswers([...featureFlags, ...presetFeatures]), ...result }
+  const root = path.join(cwd, getTargetPath())
 
-  if (shouldOverwrite) {
-    emptyDir(root)
-  } else if (!fs.existsSync(root)) {
-    fs.mkdirSync(root)
+  if (argv['save-preset']) {
+    savePreset(argv['save-preset'], {
+      projectName: result.projectName || defaultProjectName,
+      packageName,
+      ...featureAnswers
+    })
+    console.log(`\nSaved preset "${argv['save-preset']}" to ${getUserConfigPath()}`)
   }
 
-  console.log(`\nScaffolding project in ${root}...`)
-
-  const pkg = { name: packageName, version: '0.0.0' }
-  fs.writeFileSync(path.resolve(root, 'package.json'), JSON.stringify(pkg, null, 2))
+  const packageManager = detectPackageManager(root, argv['package-manager'])
+
+  const features = fromAnswers(featureAnswers)
+
+  const overwrite = forceOverwrite || existingFiles === 'remove' || existingFiles === 'backup'
+  // the skipped prompts of the plugins are answered with their initial values
+  const initialAnswers = getInitialAnswers(pluginPrompts)
+  const options = {
+    targetDir: root,
+    packageName,
+    features,
+    overwrite,
+    backup: existingFiles === 'backup' || argv.backup,
+    merge: forceMerge || existingFiles === 'merge',
+    projectName: result.projectName || defaultProjectName,
+    packageManager,
+    templates: [].concat(argv.template || []).map((template) => path.resolve(cwd, template)),
+    plugins,
+    answers: Object.fromEntries(
+      pluginPrompts.map(({ name }) => [name, name in result ? result[name] : initialAnswers[name]])
+    ),
+    workspace: argv.workspace !== false
+  }
 
-  // todo:
-  // work around the esbuild issue that `import.meta.url` cannot be correctly transpiled
-  // when bundling for node and the format is cjs
-  // const templateRoot = new URL('./template', import.meta.url).pathname
-  const templateRoot = path.resolve(__dirname, 'template')
-  const render = function render(templateName) {
-    const templateDir = path.resolve(templateRoot, templateName)
-    renderTemplate(templateDir, root)
+  if (isDryRun) {
+    console.log(`\nDry run, nothing will be written to ${root}`)
+    await dryRun(options, path.relative(cwd, root) || '.').catch(exitOnCreateVueError)
+    return
   }
 
-  // Render base template
-  render('base')
+  console.log(`\nScaffolding project in ${root}...`)
 
-  // Add configs.
-  if (needsJsx) {
-    render('config/jsx')
-  }
-  if (needsRouter) {
-    render('config/router')
-  }
-  if (needsVuex) {
-    render('config/vuex')
-  }
-  if (needsTests) {
-    render('config/cypress')
+  const {
+    commands,
+    conflicts = [],
+    backupDir,
+    workspaceRoot
+  } = await createProject(options).catch(exitOnCreateVueError)
+  // where the commands are run
+  const commandDir = workspaceRoot || root
+
+  if (backupDir) {
+    console.log(`\nMoved the existing files to ${backupDir}`)
   }
-  if (needsTypeScript) {
-    render('config/typescript')
+  if (conflicts.length) {
+    console.log(`\n${yellow('Kept the existing files that are different from the template:')}\n`)
+    for (const file of conflicts) {
+      console.log(`  ${file}`)
+    }
+    console.log(`\nThe new versions are written next to them as ${bold('<file>.create-vue')},`)
+    console.log(`merge them by hand and remove them.`)
   }
 
-  // Render code template.
-  // prettier-ignore
-  const codeTemplate =
-    (needsTypeScript ? 'typescript-' : '') +
-    (needsRouter ? 'router' : 'default')
-  render(`code/${codeTemplate}`)
-
-  // Render entry file (main.js/ts).
-  if (needsVuex && needsRouter) {
-    render('entry/vuex-and-router')
-  } else if (needsVuex) {
-    render('entry/vuex')
-  } else if (needsRouter) {
-    render('entry/router')
-  } else {
-    render('entry/default')
-  }
-
-  // Cleanup.
-
-  if (needsTypeScript) {
-    // rename all `.js` files to `.ts`
-    // rename jsconfig.json to tsconfig.json
-    preOrderDirectoryTraverse(
-      root,
-      () => {},
-      (filepath) => {
-        if (filepath.endsWith('.js')) {
-          fs.renameSync(filepath, filepath.replace(/\.js$/, '.ts'))
-        } else if (path.basename(filepath) === 'jsconfig.json') {
-          fs.renameSync(filepath, filepath.replace(/jsconfig\.json$/, 'tsconfig.json'))
-        }
-      }
-    )
-
-    // Rename entry in `index.html`
-    const indexHtmlPath = path.resolve(root, 'index.html')
-    const indexHtmlContent = fs.readFileSync(indexHtmlPath, 'utf8')
-    fs.writeFileSync(indexHtmlPath, indexHtmlContent.replace('src/main.js', 'src/main.ts'))
+  let isInstalled = false
+  if (shouldInstall) {
+    console.log(`\nInstalling dependencies with ${commands.install}...\n`)
+    isInstalled = runCommand(commands.install, commandDir)
+    if (!isInstalled) {
+      console.log(`\n${red('✖')} Failed to install dependencies, see the output above.`)
+      console.log(`  The project is still there, you can run ${bold(commands.install)} manually.`)
+      process.exitCode = 1
+    }
   }
 
-  if (!needsTests) {
-    // All templates assumes the need of tests.
-    // If the user doesn't need it:
-    // rm -rf cypress **/__tests__/
-    preOrderDirectoryTraverse(
-      root,
-      (dirpath) => {
-        const dirname = path.basename(dirpath)
-
-        if (dirname === 'cypress' || dirname === '__tests__') {
-          emptyDir(dirpath)
-          fs.rmdirSync(dirpath)
-        }
-      },
-      () => {}
-    )
+  if (shouldInitGit) {
+    initGitRepository(root)
   }
 
-  // Instructions:
-  // Supported package managers: pnpm > yarn > npm
-  // Note: until <https://github.com/pnpm/pnpm/issues/3505> is resolved,
-  // it is not possible to tell if the command is called by `pnpm init`.
-  const packageManager = /pnpm/.test(process.env.npm_execpath)
-    ? 'pnpm'
-    : /yarn/.test(process.env.npm_execpath)
-    ? 'yarn'
-    : 'npm'
-
-  // README generation
-  fs.writeFileSync(
-    path.resolve(root, 'README.md'),
-    generateReadme({
-      projectName: result.projectName || defaultProjectName,
-      packageManager,
-      needsTypeScript,
-      needsTests
-    })
-  )
-
   console.log(`\nDone. Now run:\n`)
-  if (root !== cwd) {
-    console.log(`  ${bold(green(`cd ${path.relative(cwd, root)}`))}`)
+  if (commandDir !== cwd) {
+    console.log(`  ${bold(green(`cd ${path.relative(cwd, commandDir)}`))}`)
   }
-  console.log(`  ${bold(green(getCommand(packageManager, 'install')))}`)
-  console.log(`  ${bold(green(getCommand(packageManager, 'dev')))}`)
+  if (!isInstalled) {
+    console.log(`  ${bold(green(commands.install))}`)
+  }
+  console.log(`  ${bold(green(commands.dev))}`)
   console.log()
 }
 
 init().catch((e) => {
   console.error(e)
+  process.exit(1)
 })
@@ -1,4 +1,5 @@
 /// <reference types="cypress" />
+/* eslint-env node */
 // ***********************************************************
 // This example plugins/index.js can be used to load plugins
 //
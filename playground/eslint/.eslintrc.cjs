@@ -0,0 +1,15 @@
+/* eslint-env node */
+module.exports = {
+  root: true,
+  extends: ['plugin:vue/vue3-recommended', 'eslint:recommended', '@vue/eslint-config-prettier'],
+  parserOptions: {
+    ecmaVersion: 'latest',
+    sourceType: 'module'
+  },
+  env: {
+    'vue/setup-compiler-macros': true
+  },
+  rules: {
+    'vue/multi-word-component-names': 'off'
+  }
+}
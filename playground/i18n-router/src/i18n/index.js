@@ -0,0 +1,33 @@
+import { createI18n } from 'vue-i18n'
+import en from '../locales/en.json'
+
+// only the fallback locale is bundled, the others are loaded when they are switched to
+const loaders = {
+  fr: () => import('../locales/fr.json')
+}
+
+export function isLocale(locale) {
+  return typeof locale === 'string' && (locale === 'en' || locale in loaders)
+}
+
+const messages = { en }
+
+const i18n = createI18n({
+  legacy: false,
+  locale: 'en',
+  fallbackLocale: 'en',
+  messages
+})
+
+/**
+ * Switch to the locale, its messages are loaded first if they are not yet
+ */
+export async function setLocale(locale) {
+  if (locale !== 'en' && !i18n.global.availableLocales.includes(locale)) {
+    const loaded = await loaders[locale]()
+    i18n.global.setLocaleMessage(locale, loaded.default)
+  }
+  i18n.global.locale.value = locale
+}
+
+export default i18n
@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest'
+
+import { mount } from '@vue/test-utils'
+import HelloWorld from '../HelloWorld.vue'
+import i18n from '../../i18n'
+
+describe('HelloWorld', () => {
+  it('renders properly', () => {
+    const wrapper = mount(HelloWorld, {
+      props: { msg: 'Hello Vitest' },
+      global: { plugins: [i18n] }
+    })
+    expect(wrapper.text()).toContain('Hello Vitest')
+  })
+})
@@ -0,0 +1,29 @@
+import { defineConfig } from 'vite'
+import vue from '@vitejs/plugin-vue'
+
+// https://vitejs.dev/config/
+export default defineConfig({
+  plugins: [vue()],
+  resolve: {
+    alias: {
+      '@/': new URL('./src/', import.meta.url).pathname
+    }
+  },
+  // https://vitejs.dev/guide/build.html#library-mode
+  build: {
+    lib: {
+      entry: new URL('./src/index.js', import.meta.url).pathname,
+      name: 'Library',
+      fileName: 'index'
+    },
+    rollupOptions: {
+      // provided by the app that uses the library
+      external: ['vue'],
+      output: {
+        globals: {
+          vue: 'Vue'
+        }
+      }
+    }
+  }
+})
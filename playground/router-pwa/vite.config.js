@@ -0,0 +1,30 @@
+import { defineConfig } from 'vite'
+import vue from '@vitejs/plugin-vue'
+import { VitePWA } from 'vite-plugin-pwa'
+
+// https://vitejs.dev/config/
+export default defineConfig({
+  plugins: [
+    vue(),
+    // https://github.com/antfu/vite-plugin-pwa
+    VitePWA({
+      // the user is asked before the page is reloaded with a new version, see `ReloadPrompt.vue`
+      registerType: 'prompt',
+      includeAssets: ['favicon.ico'],
+      manifest: {
+        name: 'router-pwa',
+        short_name: 'router-pwa',
+        theme_color: '#ffffff',
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' }
+        ]
+      }
+    })
+  ],
+  resolve: {
+    alias: {
+      '@/': new URL('./src/', import.meta.url).pathname
+    }
+  }
+})
@@ -0,0 +1,9 @@
+/* eslint-env browser */
+import { createApp } from './main'
+
+const { app, router } = createApp()
+
+// wait until the async components of the initial route are resolved before hydrating
+router.isReady().then(() => {
+  app.mount('#app')
+})
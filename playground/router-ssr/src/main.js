@@ -0,0 +1,14 @@
+import { createSSRApp } from 'vue'
+import App from './App.vue'
+import { createRouter } from './router'
+
+// called for each request on the server, and once in the browser to hydrate the app
+export function createApp() {
+  const app = createSSRApp(App)
+
+  const router = createRouter()
+
+  app.use(router)
+
+  return { app, router }
+}
@@ -0,0 +1,11 @@
+import { createApp } from 'vue'
+// the utilities used in the project, generated by `unocss/vite`
+import 'uno.css'
+import App from './App.vue'
+import router from './router'
+
+const app = createApp(App)
+
+app.use(router)
+
+app.mount('#app')
@@ -0,0 +1,74 @@
+/* eslint-env node */
+// Serves the app rendered by `src/entry-server.js`,
+// with the Vite dev server in development, and the built files in production
+const fs = require('fs')
+const path = require('path')
+const express = require('express')
+
+const isProduction = process.env.NODE_ENV === 'production'
+const port = process.env.PORT || (isProduction ? 5050 : 3000)
+const resolve = (p) => path.resolve(__dirname, p)
+
+async function createServer() {
+  const app = express()
+
+  let vite
+  if (isProduction) {
+    app.use(require('compression')())
+    app.use(require('serve-static')(resolve('dist/client'), { index: false }))
+  } else {
+    vite = await require('vite').createServer({
+      server: { middlewareMode: 'ssr' }
+    })
+    // use Vite's connect instance as middleware
+    app.use(vite.middlewares)
+  }
+
+  const productionTemplate = isProduction
+    ? fs.readFileSync(resolve('dist/client/index.html'), 'utf-8')
+    : ''
+  // the files to preload for each module, generated by `vite build --ssrManifest`
+  const manifest = isProduction ? require('./dist/client/ssr-manifest.json') : {}
+
+  app.use('*', async (req, res) => {
+    const url = req.originalUrl
+
+    try {
+      let template, render
+      if (isProduction) {
+        template = productionTemplate
+        render = require('./dist/server/entry-server.js').render
+      } else {
+        // always read fresh template in development
+        template = fs.readFileSync(resolve('index.html'), 'utf-8')
+        template = await vite.transformIndexHtml(url, template)
+        render = (await vite.ssrLoadModule('/src/entry-server.js')).render
+      }
+
+      const { html: appHtml, preloadLinks, state } = await render(url, manifest)
+
+      const html = template
+        .replace(`<!--preload-links-->`, preloadLinks)
+        .replace(`<!--app-html-->`, appHtml)
+        .replace(
+          `<!--app-state-->`,
+          state ? `<script>window.__INITIAL_STATE__ = ${state}</script>` : ''
+        )
+
+      res.status(200).set({ 'Content-Type': 'text/html' }).end(html)
+    } catch (e) {
+      // map the stack trace back to the source files
+      vite && vite.ssrFixStacktrace(e)
+      console.error(e)
+      res.status(500).end(e.stack)
+    }
+  })
+
+  return app
+}
+
+createServer().then((app) =>
+  app.listen(port, () => {
+    console.log(`Server running at http://localhost:${port}`)
+  })
+)
@@ -0,0 +1,6 @@
+/* eslint-env browser */
+import { createApp } from './main'
+
+const { app } = createApp()
+
+app.mount('#app')
@@ -0,0 +1,9 @@
+import { createSSRApp } from 'vue'
+import App from './App.vue'
+
+// called for each request on the server, and once in the browser to hydrate the app
+export function createApp() {
+  const app = createSSRApp(App)
+
+  return { app }
+}
@@ -0,0 +1,22 @@
+/* eslint-env node */
+module.exports = {
+  root: true,
+  extends: [
+    'plugin:vue/vue3-recommended',
+    'eslint:recommended',
+    'plugin:@typescript-eslint/recommended',
+    '@vue/eslint-config-prettier'
+  ],
+  parser: 'vue-eslint-parser',
+  parserOptions: {
+    parser: '@typescript-eslint/parser',
+    ecmaVersion: 'latest',
+    sourceType: 'module'
+  },
+  env: {
+    'vue/setup-compiler-macros': true
+  },
+  rules: {
+    'vue/multi-word-component-names': 'off'
+  }
+}
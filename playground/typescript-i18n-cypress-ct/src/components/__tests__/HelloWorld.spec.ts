@@ -1,13 +1,19 @@
 import { mount } from '@cypress/vue'
 import HelloWorld from '../HelloWorld.vue'
+import i18n from '../../i18n'
 
 describe('HelloWorld', () => {
+  const options = {
+    props: { msg: 'Hello Cypress' },
+    global: { plugins: [i18n] }
+  }
+
   it('playground', () => {
-    mount(HelloWorld, { props: { msg: 'Hello Cypress' } })
+    mount(HelloWorld, options)
   })
 
   it('renders properly', () => {
-    mount(HelloWorld, { props: { msg: 'Hello Cypress' } })
+    mount(HelloWorld, options)
     cy.get('h1').should('contain', 'Hello Cypress')
   })
 })
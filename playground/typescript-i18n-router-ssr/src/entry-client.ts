@@ -0,0 +1,8 @@
+import { createApp } from './main'
+
+const { app, router } = createApp()
+
+// wait until the async components of the initial route are resolved before hydrating
+router.isReady().then(() => {
+  app.mount('#app')
+})
@@ -0,0 +1,17 @@
+import { createSSRApp } from 'vue'
+import App from './App.vue'
+import { createI18n } from './i18n'
+import { createRouter } from './router'
+
+// called for each request on the server, and once in the browser to hydrate the app
+export function createApp() {
+  const app = createSSRApp(App)
+
+  const i18n = createI18n()
+  const router = createRouter(i18n)
+
+  app.use(i18n)
+  app.use(router)
+
+  return { app, i18n, router }
+}
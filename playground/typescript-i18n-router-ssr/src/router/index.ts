@@ -0,0 +1,40 @@
+import { createRouter as _createRouter, createMemoryHistory, createWebHistory } from 'vue-router'
+import Home from '../views/Home.vue'
+import { isLocale, setLocale } from '../i18n'
+import type { I18n } from '../i18n'
+
+const routes = [
+  {
+    path: '/',
+    name: 'Home',
+    component: Home
+  },
+  {
+    path: '/about',
+    name: 'About',
+    // route level code-splitting
+    // this generates a separate chunk (About.[hash].js) for this route
+    // which is lazy-loaded when the route is visited.
+    component: () => import('../views/About.vue')
+  }
+]
+
+// a router is created for each request, and there's no browser history on the server
+export function createRouter(i18n: I18n) {
+  const router = _createRouter({
+    history: import.meta.env.SSR
+      ? createMemoryHistory()
+      : createWebHistory(import.meta.env.BASE_URL),
+    routes
+  })
+
+  // switch to the locale in the query, e.g. `/about?locale=fr`,
+  // its messages are loaded before the route is rendered
+  router.beforeEach(async (to) => {
+    if (isLocale(to.query.locale)) {
+      await setLocale(i18n, to.query.locale)
+    }
+  })
+
+  return router
+}
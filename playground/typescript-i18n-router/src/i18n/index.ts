@@ -0,0 +1,38 @@
+import { createI18n } from 'vue-i18n'
+import en from '../locales/en.json'
+
+// the messages of the other locales must have the same keys
+export type MessageSchema = typeof en
+
+// only the fallback locale is bundled, the others are loaded when they are switched to
+const loaders = {
+  fr: () => import('../locales/fr.json')
+}
+
+export type Locale = 'en' | keyof typeof loaders
+
+export function isLocale(locale: unknown): locale is Locale {
+  return typeof locale === 'string' && (locale === 'en' || locale in loaders)
+}
+
+const messages: { [locale in Locale]?: MessageSchema } = { en }
+
+const i18n = createI18n({
+  legacy: false,
+  locale: 'en' as Locale,
+  fallbackLocale: 'en',
+  messages
+})
+
+/**
+ * Switch to the locale, its messages are loaded first if they are not yet
+ */
+export async function setLocale(locale: Locale) {
+  if (locale !== 'en' && !i18n.global.availableLocales.includes(locale)) {
+    const loaded: { default: MessageSchema } = await loaders[locale]()
+    i18n.global.setLocaleMessage(locale, loaded.default)
+  }
+  i18n.global.locale.value = locale
+}
+
+export default i18n
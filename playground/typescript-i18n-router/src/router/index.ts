@@ -0,0 +1,32 @@
+import { createRouter, createWebHistory } from 'vue-router'
+import Home from '../views/Home.vue'
+import { isLocale, setLocale } from '../i18n'
+
+const router = createRouter({
+  history: createWebHistory(import.meta.env.BASE_URL),
+  routes: [
+    {
+      path: '/',
+      name: 'Home',
+      component: Home
+    },
+    {
+      path: '/about',
+      name: 'About',
+      // route level code-splitting
+      // this generates a separate chunk (About.[hash].js) for this route
+      // which is lazy-loaded when the route is visited.
+      component: () => import('../views/About.vue')
+    }
+  ]
+})
+
+// switch to the locale in the query, e.g. `/about?locale=fr`,
+// its messages are loaded before the route is rendered
+router.beforeEach(async (to) => {
+  if (isLocale(to.query.locale)) {
+    await setLocale(to.query.locale)
+  }
+})
+
+export default router
@@ -0,0 +1,13 @@
+import { createI18n } from 'vue-i18n'
+import en from '../locales/en.json'
+import fr from '../locales/fr.json'
+
+// the messages of the other locales must have the same keys
+export type MessageSchema = typeof en
+
+export default createI18n<[MessageSchema], 'en' | 'fr', false>({
+  legacy: false,
+  locale: 'en',
+  fallbackLocale: 'en',
+  messages: { en, fr }
+})
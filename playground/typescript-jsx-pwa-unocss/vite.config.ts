@@ -0,0 +1,34 @@
+import { defineConfig } from 'vite'
+import vue from '@vitejs/plugin-vue'
+import vueJsx from '@vitejs/plugin-vue-jsx'
+import { VitePWA } from 'vite-plugin-pwa'
+import Unocss from 'unocss/vite'
+
+// https://vitejs.dev/config/
+export default defineConfig({
+  plugins: [
+    vue(),
+    vueJsx(),
+    Unocss(),
+    // https://github.com/antfu/vite-plugin-pwa
+    VitePWA({
+      // the user is asked before the page is reloaded with a new version, see `ReloadPrompt.vue`
+      registerType: 'prompt',
+      includeAssets: ['favicon.ico'],
+      manifest: {
+        name: 'typescript-jsx-pwa-unocss',
+        short_name: 'typescript-jsx-pwa-unocss',
+        theme_color: '#ffffff',
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' }
+        ]
+      }
+    })
+  ],
+  resolve: {
+    alias: {
+      '@/': new URL('./src/', import.meta.url).pathname
+    }
+  }
+})
@@ -1,8 +0,0 @@
-import { createStore } from 'vuex'
-
-export default createStore({
-  state: {},
-  mutations: {},
-  actions: {},
-  modules: {}
-})
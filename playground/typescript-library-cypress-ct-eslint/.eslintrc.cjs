@@ -0,0 +1,38 @@
+/* eslint-env node */
+module.exports = {
+  root: true,
+  extends: [
+    'plugin:vue/vue3-recommended',
+    'eslint:recommended',
+    'plugin:@typescript-eslint/recommended',
+    '@vue/eslint-config-prettier'
+  ],
+  parser: 'vue-eslint-parser',
+  parserOptions: {
+    parser: '@typescript-eslint/parser',
+    ecmaVersion: 'latest',
+    sourceType: 'module'
+  },
+  env: {
+    'vue/setup-compiler-macros': true
+  },
+  rules: {
+    'vue/multi-word-component-names': 'off'
+  },
+  overrides: [
+    {
+      files: [
+        'cypress/integration/**/*.spec.{js,ts,jsx,tsx}',
+        'cypress/support/**/*.{js,ts,jsx,tsx}',
+        'src/**/__tests__/*.{js,ts,jsx,tsx}'
+      ],
+      extends: ['plugin:cypress/recommended']
+    },
+    {
+      files: ['cypress/plugins/**/*.js'],
+      rules: {
+        '@typescript-eslint/no-var-requires': 'off'
+      }
+    }
+  ]
+}
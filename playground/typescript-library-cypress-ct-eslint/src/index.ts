@@ -0,0 +1,5 @@
+// The components of the library,
+// `App.vue` and `main.js` are only a playground to develop them and are not built
+export { default as HelloWorld } from './components/HelloWorld.vue'
+export { default as Welcome } from './components/Welcome.vue'
+export { default as WelcomeItem } from './components/WelcomeItem.vue'
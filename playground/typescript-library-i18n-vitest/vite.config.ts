@@ -0,0 +1,30 @@
+import { defineConfig } from 'vite'
+import vue from '@vitejs/plugin-vue'
+
+// https://vitejs.dev/config/
+export default defineConfig({
+  plugins: [vue()],
+  resolve: {
+    alias: {
+      '@/': new URL('./src/', import.meta.url).pathname
+    }
+  },
+  // https://vitejs.dev/guide/build.html#library-mode
+  build: {
+    lib: {
+      entry: new URL('./src/index.ts', import.meta.url).pathname,
+      name: 'TypescriptLibraryI18nVitest',
+      fileName: 'index'
+    },
+    rollupOptions: {
+      // provided by the app that uses the library
+      external: ['vue', 'vue-i18n'],
+      output: {
+        globals: {
+          vue: 'Vue',
+          'vue-i18n': 'VueI18n'
+        }
+      }
+    }
+  }
+})
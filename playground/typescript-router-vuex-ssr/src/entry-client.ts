@@ -0,0 +1,21 @@
+import { createApp } from './main'
+import type { State } from './store'
+
+declare global {
+  interface Window {
+    // rendered by `server.js`
+    __INITIAL_STATE__?: State
+  }
+}
+
+const { app, router, store } = createApp()
+
+// the state of the store when the page was rendered on the server
+if (window.__INITIAL_STATE__) {
+  store.replaceState(window.__INITIAL_STATE__)
+}
+
+// wait until the async components of the initial route are resolved before hydrating
+router.isReady().then(() => {
+  app.mount('#app')
+})
@@ -0,0 +1,17 @@
+import { createSSRApp } from 'vue'
+import App from './App.vue'
+import { createRouter } from './router'
+import { createStore, key } from './store'
+
+// called for each request on the server, and once in the browser to hydrate the app
+export function createApp() {
+  const app = createSSRApp(App)
+
+  const router = createRouter()
+  const store = createStore()
+
+  app.use(router)
+  app.use(store, key)
+
+  return { app, router, store }
+}
@@ -0,0 +1,28 @@
+import { createRouter as _createRouter, createMemoryHistory, createWebHistory } from 'vue-router'
+import Home from '../views/Home.vue'
+
+const routes = [
+  {
+    path: '/',
+    name: 'Home',
+    component: Home
+  },
+  {
+    path: '/about',
+    name: 'About',
+    // route level code-splitting
+    // this generates a separate chunk (About.[hash].js) for this route
+    // which is lazy-loaded when the route is visited.
+    component: () => import('../views/About.vue')
+  }
+]
+
+// a router is created for each request, and there's no browser history on the server
+export function createRouter() {
+  return _createRouter({
+    history: import.meta.env.SSR
+      ? createMemoryHistory()
+      : createWebHistory(import.meta.env.BASE_URL),
+    routes
+  })
+}
@@ -0,0 +1,25 @@
+import type { InjectionKey } from 'vue'
+import { createStore as _createStore, useStore as baseUseStore, Store } from 'vuex'
+
+import counter from './modules/counter'
+import type { CounterState } from './modules/counter'
+
+export interface State {
+  counter: CounterState
+}
+
+// pass it to `app.use(store, key)` and `useStore(key)` to get the typed store
+export const key: InjectionKey<Store<State>> = Symbol()
+
+// a store is created for each request, so that the state is not shared between them
+export function createStore() {
+  return _createStore<State>({
+    modules: {
+      counter
+    }
+  })
+}
+
+export function useStore() {
+  return baseUseStore(key)
+}
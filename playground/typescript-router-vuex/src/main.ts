@@ -1,12 +1,11 @@
 import { createApp } from 'vue'
 import App from './App.vue'
-
 import router from './router'
-import store from './store'
+import { store, key } from './store'
 
 const app = createApp(App)
 
 app.use(router)
-app.use(store)
+app.use(store, key)
 
 app.mount('#app')
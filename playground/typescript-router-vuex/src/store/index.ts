@@ -1,8 +1,22 @@
-import { createStore } from 'vuex'
+import type { InjectionKey } from 'vue'
+import { createStore, useStore as baseUseStore, Store } from 'vuex'
 
-export default createStore({
-  state: {},
-  mutations: {},
-  actions: {},
-  modules: {}
+import counter from './modules/counter'
+import type { CounterState } from './modules/counter'
+
+export interface State {
+  counter: CounterState
+}
+
+// pass it to `app.use(store, key)` and `useStore(key)` to get the typed store
+export const key: InjectionKey<Store<State>> = Symbol()
+
+export const store = createStore<State>({
+  modules: {
+    counter
+  }
 })
+
+export function useStore() {
+  return baseUseStore(key)
+}
@@ -0,0 +1,41 @@
+import { renderToString } from 'vue/server-renderer'
+import type { SSRContext } from 'vue/server-renderer'
+import { createApp } from './main'
+
+// maps the modules to the files to preload, generated by `vite build --ssrManifest`
+type Manifest = Record<string, string[]>
+
+// called by `server.js` to render the page of each request
+export async function render(url: string, manifest: Manifest) {
+  const { app } = createApp()
+
+  // the modules used in rendering are collected in `ctx.modules`
+  const ctx: SSRContext = {}
+  const html = await renderToString(app, ctx)
+  const preloadLinks = renderPreloadLinks(ctx.modules, manifest)
+
+  return { html, preloadLinks }
+}
+
+function renderPreloadLinks(modules: Set<string> | undefined, manifest: Manifest) {
+  const seen = new Set()
+  let links = ''
+  for (const id of modules || []) {
+    for (const file of manifest[id] || []) {
+      if (!seen.has(file)) {
+        seen.add(file)
+        links += renderPreloadLink(file)
+      }
+    }
+  }
+  return links
+}
+
+function renderPreloadLink(file: string) {
+  if (file.endsWith('.js')) {
+    return `<link rel="modulepreload" crossorigin href="${file}">`
+  } else if (file.endsWith('.css')) {
+    return `<link rel="stylesheet" href="${file}">`
+  }
+  return ''
+}
@@ -0,0 +1,9 @@
+/* eslint-env node */
+// https://tailwindcss.com/docs/configuration
+module.exports = {
+  content: ['./index.html', './src/**/*.{vue,js,ts,jsx,tsx}'],
+  theme: {
+    extend: {}
+  },
+  plugins: []
+}
@@ -0,0 +1,6 @@
+import { defineConfig, presetUno } from 'unocss'
+
+// https://github.com/unocss/unocss#configurations
+export default defineConfig({
+  presets: [presetUno()]
+})
@@ -1,9 +1,9 @@
 import { createApp } from 'vue'
 import App from './App.vue'
-import store from './store'
+import { store, key } from './store'
 
 const app = createApp(App)
 
-app.use(store)
+app.use(store, key)
 
 app.mount('#app')
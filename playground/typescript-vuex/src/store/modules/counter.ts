@@ -0,0 +1,28 @@
+import type { Module } from 'vuex'
+import type { State } from '../index'
+
+export interface CounterState {
+  count: number
+}
+
+const counter: Module<CounterState, State> = {
+  namespaced: true,
+  state: () => ({
+    count: 0
+  }),
+  getters: {
+    doubleCount: (state) => state.count * 2
+  },
+  mutations: {
+    increment(state) {
+      state.count++
+    }
+  },
+  actions: {
+    increment({ commit }) {
+      commit('increment')
+    }
+  }
+}
+
+export default counter
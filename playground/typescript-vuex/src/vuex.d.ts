@@ -0,0 +1,9 @@
+import type { Store } from 'vuex'
+import type { State } from './store'
+
+// type `this.$store` in the components
+declare module '@vue/runtime-core' {
+  interface ComponentCustomProperties {
+    $store: Store<State>
+  }
+}
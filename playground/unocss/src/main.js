@@ -0,0 +1,6 @@
+import { createApp } from 'vue'
+// the utilities used in the project, generated by `unocss/vite`
+import 'uno.css'
+import App from './App.vue'
+
+createApp(App).mount('#app')
@@ -1,6 +1,8 @@
 import { spawnSync } from 'child_process'
 import path from 'path'
 
+import { FEATURES, findConflict } from './utils/features.js'
+
 const __dirname = path
   .dirname(new URL(import.meta.url).pathname)
   .substring(process.platform === 'win32' ? 1 : 0)
@@ -13,7 +15,8 @@ function createProjectWithFeatureFlags(flags) {
   console.log(`Creating project ${projectName}`)
   const { status } = spawnSync(
     'node',
-    [bin, projectName, ...flags.map((flag) => `--${flag}`), '--force'],
+    // the playground is in the workspace of this repo, which should not affect the projects
+    [bin, projectName, ...flags.map((flag) => `--${flag}`), '--force', '--no-workspace'],
     {
       cwd: playgroundDir,
       stdio: ['pipe', 'pipe', 'inherit']
@@ -25,7 +28,27 @@ function createProjectWithFeatureFlags(flags) {
   }
 }
 
-const featureFlags = ['typescript', 'jsx', 'router', 'vuex', 'with-tests']
+// All the combinations of the core features are generated,
+// while each of the other features is only combined with the ones that most templates depend on,
+// plus the combinations listed below that have templates of their own,
+// instead of multiplying the number of the projects with every feature
+const coreFlags = ['typescript', 'jsx', 'router', 'pinia', 'vitest']
+const pairedFlags = ['typescript', 'router']
+const otherFlags = FEATURES.map(({ name }) => name).filter((name) => !coreFlags.includes(name))
+const interactingFlags = [
+  ['typescript', 'router', 'vuex', 'ssr'],
+  ['typescript', 'i18n', 'router', 'ssr'],
+  ['typescript', 'ssr', 'eslint'],
+  ['i18n', 'vitest'],
+  ['typescript', 'i18n', 'cypress-ct'],
+  ['jsx', 'pwa'],
+  ['typescript', 'jsx', 'unocss', 'pwa'],
+  ['typescript', 'library', 'i18n', 'vitest'],
+  ['typescript', 'library', 'cypress-ct', 'eslint'],
+  ['cypress-ct', 'e2e'],
+  ['typescript', 'cypress-ct', 'e2e', 'eslint'],
+  ['typescript', 'jsx', 'router', 'pinia', 'vitest', 'e2e', 'eslint']
+]
 
 // The following code & comments are generated by GitHub CoPilot.
 function fullCombination(arr) {
@@ -56,7 +79,22 @@ function fullCombination(arr) {
   return combinations
 }
 
-const flagCombinations = fullCombination(featureFlags)
+const flagCombinations = [
+  ...fullCombination(coreFlags),
+  ...otherFlags.flatMap((flag) =>
+    [[], ...fullCombination(pairedFlags)].map((flags) => [...flags, flag])
+  ),
+  ...interactingFlags
+]
+  // in the order of the features, so that the same combination always has the same name
+  .map((flags) => FEATURES.map(({ name }) => name).filter((name) => flags.includes(name)))
+  .filter((flags, index, all) => all.findIndex((other) => other.join() === flags.join()) === index)
+for (const flags of flagCombinations) {
+  const conflict = findConflict(flags)
+  if (conflict) {
+    throw new Error(`${conflict[0].name} and ${conflict[1].name} cannot be used together`)
+  }
+}
 flagCombinations.push(['default'])
 
 for (const flags of flagCombinations) {
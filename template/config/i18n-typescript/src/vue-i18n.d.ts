@@ -0,0 +1,7 @@
+import type { MessageSchema } from './i18n'
+
+// the keys of the messages are typed in `t()`, see `src/locales/en.json`
+declare module 'vue-i18n' {
+  // eslint-disable-next-line @typescript-eslint/no-empty-interface
+  export interface DefineLocaleMessage extends MessageSchema {}
+}
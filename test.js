@@ -5,12 +5,30 @@ import { fileURLToPath } from 'url'
 import { spawnSync } from 'child_process'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const testsDir = path.resolve(__dirname, './tests/')
 const playgroundDir = path.resolve(__dirname, './playground/')
 
+// The tests of the CLI commands and options, with the CLI built by `pretest`
+for (const file of fs.readdirSync(testsDir).filter((file) => file.endsWith('.test.js'))) {
+  console.log(`Running ${file}`)
+  const testResult = spawnSync('node', [path.resolve(testsDir, file)], { stdio: 'inherit' })
+  if (testResult.status !== 0) {
+    throw new Error(`Tests failed in ${file}`)
+  }
+}
+
 for (const projectName of fs.readdirSync(playgroundDir)) {
-  if (projectName.endsWith('with-tests')) {
+  const { scripts } = JSON.parse(
+    fs.readFileSync(path.resolve(playgroundDir, projectName, 'package.json'), 'utf8')
+  )
+
+  // Vitest doesn't watch the files in CI, so `test:unit` is enough for it
+  const unitTestScript = scripts['test:unit:ci']
+    ? 'test:unit:ci'
+    : scripts['test:unit'] && 'test:unit'
+  if (unitTestScript) {
     console.log(`Running unit tests in ${projectName}`)
-    const unitTestResult = spawnSync('pnpm', ['test:unit:ci'], {
+    const unitTestResult = spawnSync('pnpm', [unitTestScript], {
       cwd: path.resolve(playgroundDir, projectName),
       stdio: 'inherit',
       shell: true
@@ -18,7 +36,9 @@ for (const projectName of fs.readdirSync(playgroundDir)) {
     if (unitTestResult.status !== 0) {
       throw new Error(`Unit tests failed in ${projectName}`)
     }
+  }
 
+  if (scripts['test:e2e:ci']) {
     console.log(`Running e2e tests in ${projectName}`)
     const e2eTestResult = spawnSync('pnpm', ['test:e2e:ci'], {
       cwd: path.resolve(playgroundDir, projectName),
@@ -0,0 +1,57 @@
+import assert from 'assert'
+
+import { hashContent } from '../utils/metadata.js'
+import { test } from './cli.js'
+
+test('adds the files, dependencies and plugins of the features', ({
+  run,
+  read,
+  readJson,
+  exists
+}) => {
+  run(['app', '--default', '--no-workspace'])
+  run(['add', 'router', 'pinia'], 'app')
+
+  assert.ok(exists('app/src/router/index.js'))
+  assert.ok(exists('app/src/stores/counter.js'))
+  assert.ok(readJson('app/package.json').dependencies['vue-router'])
+  assert.ok(readJson('app/package.json').dependencies.pinia)
+  assert.match(read('app/src/main.js'), /app\.use\(router\)/)
+  assert.deepStrictEqual(readJson('app/.create-vue-meta.json').options.features, [
+    'router',
+    'pinia'
+  ])
+})
+
+test('overwrites the modified files with --force', ({ run, read, write }) => {
+  run(['app', '--default', '--no-workspace'])
+  write('app/src/App.vue', '<template>modified</template>\n')
+  run(['add', 'router', '--force'], 'app')
+
+  assert.doesNotMatch(read('app/src/App.vue'), /modified/)
+})
+
+test('updates the files generated by an older version', ({ run, read, write, readJson }) => {
+  run(['app', '--default', '--no-workspace'])
+  // as an older version would have generated it
+  const metadata = readJson('app/.create-vue-meta.json')
+  write('app/src/App.vue', '<template>older</template>\n')
+  metadata.files['src/App.vue'] = hashContent('<template>older</template>\n')
+  write('app/.create-vue-meta.json', metadata)
+  const output = run(['add', 'router'], 'app')
+
+  assert.match(output, /updated\s+src\/App\.vue/)
+  assert.match(read('app/src/App.vue'), /RouterView|router-view/)
+})
+
+test('restores the project if writing fails', ({ run, read, write }) => {
+  run(['app', '--default', '--no-workspace'])
+  const pkg = read('app/package.json')
+  const app = read('app/src/App.vue')
+  // a file in the way of the router directory
+  write('app/src/router', '')
+
+  assert.throws(() => run(['add', 'router'], 'app'))
+  assert.strictEqual(read('app/package.json'), pkg)
+  assert.strictEqual(read('app/src/App.vue'), app)
+})
@@ -0,0 +1,95 @@
+import { spawnSync } from 'child_process'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+import { removeDir } from '../utils/staging.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const bin = path.resolve(__dirname, '../outfile.cjs')
+
+/**
+ * Run a test case of the CLI in a new temporary directory, which is removed afterwards
+ * @param {string} name
+ * @param {(dir: ReturnType<typeof useDir>) => void} fn
+ */
+export function test(name, fn) {
+  console.log(`  ${name}`)
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'create-vue-test-'))
+  try {
+    fn(useDir(root))
+  } finally {
+    removeDir(root)
+  }
+}
+
+/**
+ * Helpers to run the CLI and to read and write files, relative to `root`
+ * @param {string} root an absolute path
+ */
+function useDir(root) {
+  const resolve = (...paths) => path.resolve(root, ...paths)
+
+  /**
+   * Run the built CLI with the arguments
+   * @param {string[]} args
+   * @param {string} [cwd] relative to `root`
+   * @returns {{ status: number | null, output: string }} output is stdout and stderr
+   */
+  function runWithStatus(args, cwd = '.') {
+    const { status, stdout, stderr, error } = spawnSync('node', [bin, ...args], {
+      cwd: resolve(cwd),
+      encoding: 'utf8',
+      // the package manager running the tests should not be detected
+      env: { ...process.env, npm_config_user_agent: '' },
+      // a prompt that is not answered by the flags fails the run instead of waiting forever
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout: 60000
+    })
+    if (error) {
+      throw error
+    }
+    return { status, output: `${stdout}${stderr}` }
+  }
+
+  return {
+    root,
+    resolve,
+    runWithStatus,
+
+    /**
+     * Run the built CLI with the arguments, it must succeed
+     * @param {string[]} args
+     * @param {string} [cwd] relative to `root`
+     * @returns {string} stdout and stderr
+     */
+    run(args, cwd = '.') {
+      const { status, output } = runWithStatus(args, cwd)
+      if (status !== 0) {
+        throw new Error(`\`create-vue ${args.join(' ')}\` failed:\n${output}`)
+      }
+      return output
+    },
+
+    read(file) {
+      return fs.readFileSync(resolve(file), 'utf8')
+    },
+
+    readJson(file) {
+      return JSON.parse(fs.readFileSync(resolve(file), 'utf8'))
+    },
+
+    write(file, content) {
+      fs.mkdirSync(path.dirname(resolve(file)), { recursive: true })
+      fs.writeFileSync(
+        resolve(file),
+        typeof content === 'string' ? content : JSON.stringify(content)
+      )
+    },
+
+    exists(file) {
+      return fs.existsSync(resolve(file))
+    }
+  }
+}
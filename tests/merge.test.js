@@ -0,0 +1,42 @@
+import assert from 'assert'
+import fs from 'fs'
+
+import { test } from './cli.js'
+
+test('merges into the existing files with --merge', ({ run, write, read, readJson, exists }) => {
+  write('app/package.json', { name: 'existing', scripts: { foo: 'bar' } })
+  write('app/index.html', 'existing\n')
+  run(['app', '--default', '--merge', '--no-workspace'])
+
+  assert.strictEqual(readJson('app/package.json').scripts.foo, 'bar')
+  assert.ok(readJson('app/package.json').dependencies.vue)
+  assert.strictEqual(read('app/index.html'), 'existing\n')
+  assert.ok(exists('app/index.html.create-vue'))
+  assert.ok(exists('app/src/main.js'))
+})
+
+test('moves the existing files to a backup directory with --backup', ({
+  run,
+  write,
+  read,
+  exists,
+  root
+}) => {
+  write('app/old.txt', 'old\n')
+  run(['app', '--default', '--force', '--backup', '--no-workspace'])
+
+  const backupDir = fs.readdirSync(root).find((name) => name.startsWith('app.backup-'))
+  assert.ok(backupDir)
+  assert.strictEqual(read(`${backupDir}/old.txt`), 'old\n')
+  assert.ok(!exists('app/old.txt'))
+  assert.ok(exists('app/src/main.js'))
+})
+
+test('rejects --backup without --force', ({ runWithStatus, write, exists }) => {
+  write('app/old.txt', 'old\n')
+  const { status, output } = runWithStatus(['app', '--default', '--backup', '--no-workspace'])
+
+  assert.strictEqual(status, 1)
+  assert.match(output, /--backup can only be used with --force/)
+  assert.ok(exists('app/old.txt'))
+})
@@ -0,0 +1,27 @@
+import assert from 'assert'
+
+import { test } from './cli.js'
+
+test('detects the package manager from the lock files', ({ run, write, readJson }) => {
+  write('pnpm-lock.yaml', '')
+  const output = run(['app', '--default', '--no-workspace'])
+
+  assert.match(output, /pnpm install/)
+  assert.strictEqual(readJson('app/.create-vue-meta.json').options.packageManager, 'pnpm')
+})
+
+test('detects Yarn 2+ from the packageManager field', ({ run, write, readJson }) => {
+  write('package.json', { packageManager: 'yarn@3.1.0' })
+  const output = run(['app', '--default', '--no-workspace'])
+
+  assert.match(output, /yarn dev/)
+  assert.strictEqual(readJson('app/.create-vue-meta.json').options.packageManager, 'yarn-berry')
+})
+
+test('prefers --package-manager to the detected one', ({ run, write, read }) => {
+  write('pnpm-lock.yaml', '')
+  const output = run(['app', '--default', '--package-manager', 'bun', '--no-workspace'])
+
+  assert.match(output, /bun install/)
+  assert.match(read('app/README.md'), /bun run dev/)
+})
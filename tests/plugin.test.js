@@ -0,0 +1,67 @@
+import assert from 'assert'
+
+import { test } from './cli.js'
+
+test('renders a CommonJS plugin', ({ run, write, read, readJson, resolve }) => {
+  write(
+    'plugin.cjs',
+    `module.exports = {
+  name: 'cjs-plugin',
+  package: { dependencies: { 'cjs-plugin': '^1.0.0' } },
+  render(files, data, { root }) {
+    files.set('src/plugin.js', 'export default ' + JSON.stringify(root) + '\\n')
+  }
+}
+`
+  )
+  run(['app', '--default', '--plugin', './plugin.cjs', '--no-workspace'])
+
+  assert.strictEqual(readJson('app/package.json').dependencies['cjs-plugin'], '^1.0.0')
+  assert.strictEqual(
+    read('app/src/plugin.js'),
+    `export default ${JSON.stringify(resolve('app'))}\n`
+  )
+})
+
+test('renders an ES module plugin', ({ run, write, readJson }) => {
+  write(
+    'plugin.mjs',
+    `export default {
+  name: 'esm-plugin',
+  package: { dependencies: { 'esm-plugin': '^1.0.0' } }
+}
+`
+  )
+  run(['app', '--default', '--plugin', './plugin.mjs', '--no-workspace'])
+
+  assert.strictEqual(readJson('app/package.json').dependencies['esm-plugin'], '^1.0.0')
+})
+
+test('answers the skipped prompts with their initial values', ({ run, write, read }) => {
+  write(
+    'plugin.cjs',
+    `module.exports = {
+  name: 'prompt-plugin',
+  prompts: [
+    {
+      name: 'theme',
+      type: 'select',
+      message: 'Theme?',
+      choices: [
+        { title: 'Light', value: 'light' },
+        { title: 'Dark', value: 'dark' }
+      ],
+      initial: 1
+    },
+    { name: 'icons', type: 'toggle', message: 'Icons?', initial: true }
+  ],
+  render(files, data) {
+    files.set('src/theme.js', 'export default ' + JSON.stringify([data.theme, data.icons]) + '\\n')
+  }
+}
+`
+  )
+  run(['app', '--default', '--plugin', './plugin.cjs', '--no-workspace'])
+
+  assert.strictEqual(read('app/src/theme.js'), 'export default ["dark",true]\n')
+})
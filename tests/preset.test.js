@@ -0,0 +1,43 @@
+import assert from 'assert'
+
+import { test } from './cli.js'
+
+const preset = {
+  needsTypeScript: true,
+  needsJsx: false,
+  needsLibrary: false,
+  needsI18n: false,
+  needsRouter: true,
+  stateManagement: 'pinia',
+  needsSsr: false,
+  needsPwa: false,
+  styling: 'none',
+  unitTesting: 'none',
+  needsE2eTesting: false,
+  needsEslint: false
+}
+
+test('answers the prompts with the preset', ({ run, write, exists, readJson }) => {
+  write('preset.json', preset)
+  run(['app', '--preset', 'preset.json', '--no-install', '--no-git', '--no-workspace'])
+
+  assert.deepStrictEqual(readJson('app/.create-vue-meta.json').options.features, [
+    'typescript',
+    'router',
+    'pinia'
+  ])
+  assert.ok(exists('app/src/router/index.ts'))
+})
+
+test('adds the features of the preset to the feature flags', ({ run, write, readJson }) => {
+  write('preset.json', preset)
+  run(['app', '--preset', 'preset.json', '--vitest', '--vuex', '--no-workspace'])
+
+  // `--vuex` replaces Pinia, as they cannot be used together
+  assert.deepStrictEqual(readJson('app/.create-vue-meta.json').options.features, [
+    'typescript',
+    'router',
+    'vuex',
+    'vitest'
+  ])
+})
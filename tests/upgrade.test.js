@@ -0,0 +1,64 @@
+import assert from 'assert'
+import fs from 'fs'
+
+import { hashContent } from '../utils/metadata.js'
+import { test } from './cli.js'
+
+// Make the project look as if an older version generated `file` with `content`,
+// or didn't generate it at all if `content` is `undefined`
+function generateAsOlderVersion({ read, write, resolve }, file, content) {
+  const metadata = JSON.parse(read('app/.create-vue-meta.json'))
+  if (content === undefined) {
+    fs.unlinkSync(resolve('app', file))
+    delete metadata.files[file]
+  } else {
+    write(`app/${file}`, content)
+    metadata.files[file] = hashContent(content)
+  }
+  write('app/.create-vue-meta.json', metadata)
+}
+
+test('updates and creates the files generated by the new version', (dir) => {
+  const { run, read, write, exists, readJson } = dir
+  run(['app', '--default', '--no-workspace'])
+  generateAsOlderVersion(dir, 'vite.config.js', 'export default {}\n')
+  generateAsOlderVersion(dir, 'index.html', undefined)
+  write('app/src/App.vue', '<template>modified</template>\n')
+  const output = run(['upgrade'], 'app')
+
+  assert.match(output, /updated\s+vite\.config\.js/)
+  assert.match(output, /created\s+index\.html/)
+  assert.notStrictEqual(read('app/vite.config.js'), 'export default {}\n')
+  assert.ok(exists('app/index.html'))
+  assert.strictEqual(read('app/src/App.vue'), '<template>modified</template>\n')
+  assert.ok(readJson('app/.create-vue-meta.json').files['index.html'])
+})
+
+test('keeps the former hashes of the files that are not written as generated', (dir) => {
+  const { run, runWithStatus, read, write, readJson } = dir
+  run(['app', '--default', '--no-workspace'])
+  generateAsOlderVersion(dir, 'vite.config.js', 'export default {}\n')
+  write('app/vite.config.js', 'export default { modified: true }\n')
+  // without the git history to find the generated version, it's a conflict
+  const { status, output } = runWithStatus(['upgrade'], 'app')
+
+  assert.strictEqual(status, 1)
+  assert.match(output, /conflict\s+vite\.config\.js/)
+  assert.match(output, /git history/)
+  assert.match(read('app/vite.config.js'), /<<<<<<< current/)
+  assert.strictEqual(
+    readJson('app/.create-vue-meta.json').files['vite.config.js'],
+    hashContent('export default {}\n')
+  )
+})
+
+test('reports the files that are no longer generated', (dir) => {
+  const { run, exists, readJson } = dir
+  run(['app', '--default', '--no-workspace'])
+  generateAsOlderVersion(dir, 'src/obsolete.js', 'export default {}\n')
+  const output = run(['upgrade'], 'app')
+
+  assert.match(output, /skipped\s+src\/obsolete\.js/)
+  assert.ok(exists('app/src/obsolete.js'))
+  assert.ok(readJson('app/.create-vue-meta.json').files['src/obsolete.js'])
+})
@@ -0,0 +1,15 @@
+import assert from 'assert'
+
+import { test } from './cli.js'
+
+test('creates the project as a package of the enclosing workspace', ({ run, write, readJson }) => {
+  write('monorepo/package.json', {
+    private: true,
+    workspaces: ['packages/*'],
+    devDependencies: { vite: '^2.0.0' }
+  })
+  run(['app', '--default', '--workspace'], 'monorepo')
+
+  // the versions of the workspace root are reused
+  assert.strictEqual(readJson('monorepo/packages/app/package.json').devDependencies.vite, '^2.0.0')
+})
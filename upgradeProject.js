@@ -0,0 +1,211 @@
+// @ts-check
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { spawnSync } from 'child_process'
+
+import { createProject } from './createProject.js'
+import emptyDir from './utils/emptyDir.js'
+import { METADATA_FILE, hashContent, readMetadata, writeMetadata } from './utils/metadata.js'
+import { InvalidOptionError } from './utils/errors.js'
+
+/**
+ * @returns {Buffer | undefined} the stdout, or `undefined` if git fails or is not installed
+ */
+function git(args, cwd) {
+  const { status, stdout } = spawnSync('git', args, { cwd })
+  return status === 0 ? stdout : undefined
+}
+
+/**
+ * Find the content of the file as it was generated, in the git history of the project
+ * @returns {Buffer | undefined}
+ */
+function findGeneratedContent(root, file, hash) {
+  const revisions = git(['log', '--format=%H', '--', file], root)
+  if (!revisions) {
+    return
+  }
+
+  for (const revision of revisions.toString().split('\n').filter(Boolean)) {
+    const content = git(['show', `${revision}:./${file}`], root)
+    if (content && hashContent(content) === hash) {
+      return content
+    }
+  }
+}
+
+/**
+ * Three-way merge with `git merge-file`
+ * @returns {{ content: Buffer, hasConflicts: boolean } | undefined}
+ *   `undefined` if git is not available
+ */
+function mergeFile(current, base, upgraded) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'create-vue-'))
+  try {
+    const files = [
+      ['current', current],
+      ['base', base],
+      ['upgraded', upgraded]
+    ].map(([name, content]) => {
+      fs.writeFileSync(path.resolve(dir, name), content)
+      return path.resolve(dir, name)
+    })
+
+    const { status, stdout } = spawnSync('git', [
+      'merge-file',
+      '--stdout',
+      ...['-L', 'current', '-L', 'generated', '-L', 'upgraded'],
+      ...files
+    ])
+    // the exit code is the number of conflicts, or negative on errors
+    if (status === null || status < 0 || status > 127) {
+      return
+    }
+    return { content: stdout, hasConflicts: status > 0 }
+  } finally {
+    emptyDir(dir)
+    fs.rmdirSync(dir)
+  }
+}
+
+/**
+ * Mark the whole file as a conflict, when there's nothing to merge against
+ */
+function markConflict(current, upgraded) {
+  const withNewline = (content) => (content.endsWith('\n') ? content : content + '\n')
+  return (
+    '<<<<<<< current\n' +
+    withNewline(current.toString()) +
+    '=======\n' +
+    withNewline(upgraded.toString()) +
+    '>>>>>>> upgraded\n'
+  )
+}
+
+const isBinary = (content) => content.includes(0)
+
+/**
+ * @typedef {Object} UpgradeResult
+ * @property {string} from the version of `create-vue` that the project was generated with
+ * @property {string} to the version of `create-vue` that it's upgraded to
+ * @property {string[]} created paths of the new files, relative to the project root
+ * @property {string[]} updated paths of the files that are replaced, as they are not modified by the user
+ * @property {string[]} merged paths of the files modified by both the user and the upgrade,
+ *   that are merged without conflicts
+ * @property {string[]} conflicts paths of the files that are merged with conflict markers
+ * @property {string[]} skipped paths of the files that cannot be merged and are kept as they are,
+ *   that are removed by the user, or that are no longer generated,
+ *   e.g. the ones of custom templates and plugins, which are not rendered again
+ */
+
+/**
+ * Regenerate the project with the options recorded in its metadata,
+ * by the running version of `create-vue`, and merge the changes to the files of the user.
+ * The files that the user has modified are merged with the version they are generated as,
+ * which is looked up in the git history of the project.
+ * Custom templates and plugins are not rendered again.
+ * @param {Object} options
+ * @param {string} options.root the project root
+ * @returns {Promise<UpgradeResult>}
+ */
+export async function upgradeProject({ root }) {
+  root = path.resolve(root)
+  const metadata = readMetadata(root)
+  if (!metadata) {
+    throw new InvalidOptionError(
+      `Cannot find ${METADATA_FILE} in ${root}, the project is not created by create-vue, ` +
+        'or by a version that does not support upgrading'
+    )
+  }
+
+  const { files, tree } = await createProject({
+    ...metadata.options,
+    targetDir: root,
+    dryRun: true
+  })
+  const upgradedMetadata = JSON.parse(tree.get(METADATA_FILE).toString())
+  const result = {
+    from: metadata.version,
+    to: upgradedMetadata.version,
+    created: [],
+    updated: [],
+    merged: [],
+    conflicts: [],
+    skipped: []
+  }
+  // the hashes of the files as this version generates them,
+  // except for the ones that are not written as generated, which keep their former hashes,
+  // so that the next upgrade can still find the versions to merge them against
+  const hashes = { ...upgradedMetadata.files }
+  const keepHash = (file) => {
+    if (metadata.files[file]) {
+      hashes[file] = metadata.files[file]
+    } else {
+      delete hashes[file]
+    }
+  }
+
+  for (const file of files.filter((file) => file !== METADATA_FILE)) {
+    const dest = path.resolve(root, file)
+    const upgraded = Buffer.from(tree.get(file))
+    const generatedHash = metadata.files[file]
+
+    if (!fs.existsSync(dest)) {
+      if (generatedHash) {
+        // removed by the user
+        result.skipped.push(file)
+        keepHash(file)
+      } else {
+        fs.mkdirSync(path.dirname(dest), { recursive: true })
+        fs.writeFileSync(dest, upgraded)
+        result.created.push(file)
+      }
+      continue
+    }
+
+    const current = fs.readFileSync(dest)
+    const currentHash = hashContent(current)
+    if (current.equals(upgraded) || generatedHash === hashContent(upgraded)) {
+      // not changed by the upgrade
+      continue
+    }
+    if (currentHash === generatedHash) {
+      // not modified by the user
+      fs.writeFileSync(dest, upgraded)
+      result.updated.push(file)
+      continue
+    }
+    keepHash(file)
+    if (isBinary(current) || isBinary(upgraded)) {
+      result.skipped.push(file)
+      continue
+    }
+
+    const generated = generatedHash && findGeneratedContent(root, file, generatedHash)
+    const merge = generated && mergeFile(current, generated, upgraded)
+    if (merge) {
+      fs.writeFileSync(dest, merge.content)
+      result[merge.hasConflicts ? 'conflicts' : 'merged'].push(file)
+    } else {
+      fs.writeFileSync(dest, markConflict(current, upgraded))
+      result.conflicts.push(file)
+    }
+  }
+
+  // they are left to the user, as they may be modified or still be used
+  for (const file of Object.keys(metadata.files)) {
+    if (!tree.has(file) && fs.existsSync(path.resolve(root, file))) {
+      result.skipped.push(file)
+      keepHash(file)
+    }
+  }
+
+  // the next upgrade is based on what this version generates
+  writeMetadata(root, metadata.options, hashes)
+
+  return result
+}
+
+export default upgradeProject
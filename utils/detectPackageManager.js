@@ -0,0 +1,108 @@
+import fs from 'fs'
+import path from 'path'
+
+// Files that tell which package manager a directory is managed by,
+// checked in this order in each directory
+const LOCK_FILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['pnpm-workspace.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['.yarnrc.yml', 'yarn'],
+  ['bun.lockb', 'bun'],
+  ['bun.lock', 'bun'],
+  ['package-lock.json', 'npm'],
+  ['npm-shrinkwrap.json', 'npm']
+]
+
+function normalize(name, version) {
+  if (name === 'yarn' && version && parseInt(version, 10) >= 2) {
+    return 'yarn-berry'
+  }
+  return ['npm', 'yarn', 'pnpm', 'bun'].includes(name) ? name : undefined
+}
+
+function isYarnBerryProject(dir) {
+  if (fs.existsSync(path.resolve(dir, '.yarnrc.yml'))) {
+    return true
+  }
+
+  // Yarn 1 lock files don't have the `__metadata` field
+  const lockFilePath = path.resolve(dir, 'yarn.lock')
+  return (
+    fs.existsSync(lockFilePath) && fs.readFileSync(lockFilePath, 'utf8').includes('__metadata:')
+  )
+}
+
+function readPackageManagerField(dir) {
+  const pkgPath = path.resolve(dir, 'package.json')
+  if (!fs.existsSync(pkgPath)) {
+    return
+  }
+
+  try {
+    // e.g. `"packageManager": "yarn@3.1.0"`
+    const { packageManager } = JSON.parse(fs.readFileSync(pkgPath, 'utf8'))
+    if (typeof packageManager === 'string') {
+      const [name, version] = packageManager.split('@')
+      return normalize(name, version)
+    }
+  } catch (e) {
+    // a malformed package.json should not prevent scaffolding
+  }
+}
+
+function detectFromDirectories(dir) {
+  for (;;) {
+    const fromField = readPackageManagerField(dir)
+    if (fromField) {
+      return fromField
+    }
+
+    for (const [filename, packageManager] of LOCK_FILES) {
+      if (fs.existsSync(path.resolve(dir, filename))) {
+        return packageManager === 'yarn' && isYarnBerryProject(dir) ? 'yarn-berry' : packageManager
+      }
+    }
+
+    const parent = path.dirname(dir)
+    if (parent === dir) {
+      return
+    }
+    dir = parent
+  }
+}
+
+function detectFromUserAgent() {
+  // e.g. `pnpm/6.14.1 npm/? node/v14.17.0 linux x64`
+  const userAgent = process.env.npm_config_user_agent
+  if (!userAgent) {
+    return
+  }
+
+  const [name, version] = userAgent.split(' ')[0].split('/')
+  return normalize(name, version)
+}
+
+/**
+ * Detect the package manager to be used in the project to be created at `root`.
+ * In order of precedence:
+ *   - the explicitly preferred one
+ *   - the `packageManager` field, lock files or workspace config files
+ *     in the closest parent directory that has any of them,
+ *     so that a project created inside a workspace follows the workspace
+ *   - the package manager that runs `create-vue`
+ *   - npm
+ * @param {string} root the directory of the project to be created
+ * @param {string} [preferred] one of `npm`, `yarn`, `pnpm` and `bun`
+ * @returns {string} one of `PACKAGE_MANAGERS` in `getCommand.js`
+ */
+export default function detectPackageManager(root, preferred) {
+  const detected = detectFromDirectories(path.dirname(root)) || detectFromUserAgent()
+
+  if (preferred) {
+    // tell Yarn 2+ from Yarn 1, their commands are slightly different
+    return preferred === 'yarn' && detected === 'yarn-berry' ? detected : preferred
+  }
+
+  return detected || 'npm'
+}
@@ -0,0 +1,25 @@
+import fs from 'fs'
+import path from 'path'
+
+import { postOrderDirectoryTraverse } from './directoryTraverse.js'
+
+export function canSafelyOverwrite(dir) {
+  return !fs.existsSync(dir) || fs.readdirSync(dir).length === 0
+}
+
+export default function emptyDir(dir) {
+  postOrderDirectoryTraverse(
+    dir,
+    (dir) => fs.rmdirSync(dir),
+    (file) => fs.unlinkSync(file)
+  )
+}
+
+/**
+ * @returns {string} path of a new sibling directory to move the entries of `dir` to,
+ *   e.g. `my-app.backup-2022-01-01T00-00-00-000Z`
+ */
+export function getBackupPath(dir) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+  return path.resolve(path.dirname(dir), `${path.basename(dir)}.backup-${timestamp}`)
+}
@@ -0,0 +1,61 @@
+/**
+ * Base class of all the errors thrown by `createProject()`,
+ * so that callers can tell them apart from unexpected failures.
+ * Each error carries a stable `code` to match against.
+ */
+export class CreateVueError extends Error {
+  constructor(message, code) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+  }
+}
+
+export class InvalidOptionError extends CreateVueError {
+  constructor(message) {
+    super(message, 'ERR_INVALID_OPTION')
+  }
+}
+
+export class InvalidPackageNameError extends CreateVueError {
+  constructor(packageName) {
+    super(`Invalid package.json name: "${packageName}"`, 'ERR_INVALID_PACKAGE_NAME')
+    this.packageName = packageName
+  }
+}
+
+export class UnknownFeatureError extends CreateVueError {
+  constructor(feature) {
+    super(`Unknown feature: "${feature}"`, 'ERR_UNKNOWN_FEATURE')
+    this.feature = feature
+  }
+}
+
+export class TargetDirectoryNotEmptyError extends CreateVueError {
+  constructor(targetDir) {
+    super(
+      `Target directory "${targetDir}" is not empty, pass \`overwrite: true\` to remove existing files, ` +
+        'or `merge: true` to keep them',
+      'ERR_TARGET_NOT_EMPTY'
+    )
+    this.targetDir = targetDir
+  }
+}
+
+export class IncompatiblePluginError extends CreateVueError {
+  constructor(pluginName, reason) {
+    super(`Plugin "${pluginName}" cannot be used: ${reason}`, 'ERR_INCOMPATIBLE_PLUGIN')
+    this.pluginName = pluginName
+  }
+}
+
+export class ScaffoldFailedError extends CreateVueError {
+  constructor(targetDir, cause) {
+    super(
+      `Failed to scaffold the project in "${targetDir}", no changes were made to it: ${cause.message}`,
+      'ERR_SCAFFOLD_FAILED'
+    )
+    this.targetDir = targetDir
+    this.cause = cause
+  }
+}
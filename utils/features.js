@@ -0,0 +1,404 @@
+import fs from 'fs'
+import path from 'path'
+
+import renderEslint from './renderEslint.js'
+
+const hasDependency = (name) => (root, pkg) =>
+  Boolean(
+    (pkg.dependencies && pkg.dependencies[name]) ||
+      (pkg.devDependencies && pkg.devDependencies[name])
+  )
+
+/**
+ * A Vue plugin installed with `app.use()` in `src/main.js`
+ * @typedef {Object} Entry
+ * @property {string} import what to import, e.g. `router` or `{ createPinia }`
+ * @property {string} from the module to import from
+ * @property {string} use the arguments of `app.use()`
+ * @property {string} [instance] with SSR, the variable that is assigned `create`
+ *   in `createApp()` and returned from it, as every request needs its own app
+ * @property {string} [create] the expression creating the instance
+ */
+
+/**
+ * @typedef {Object} Feature
+ * @property {string} name the command line flag (`--name`) and the value in `features`
+ * @property {string[]} [aliases] other command line flags for it
+ * @property {string} key the variable telling whether it's selected, in `.ejs` templates;
+ *   also the name of its prompt and preset entry, unless it belongs to a `group`
+ * @property {string} [message] the prompt message, for features not in a `group`
+ * @property {string} [group] features in the same group are mutually exclusive,
+ *   and are asked as a single select prompt with a `None` choice
+ * @property {string} [title] the choice title in the prompt of its `group`
+ * @property {string[] | ((data: Object) => string[])} [layers] template directories to render,
+ *   relative to `template/`, a layer shared by several features is rendered only once
+ * @property {(tree: import('./fileTree.js').FileTree, data: Object) => void} [render]
+ *   called after its layers are rendered, to change the files of the project
+ * @property {Entry | ((data: Object) => Entry)} [entry]
+ *   the Vue plugin to be installed in `src/main.js`
+ * @property {import('./preprocessor.js').Preprocessor} [preprocessor] the CSS preprocessor
+ *   the stylesheets are rewritten for
+ * @property {(root: string, pkg: Object) => boolean} detect tells whether an existing project
+ *   already has it, given the project root and its `package.json`
+ * @property {string[]} [conflicts] features that cannot be used together with it
+ */
+
+/**
+ * Features in the order they are prompted and rendered.
+ * @type {Feature[]}
+ */
+export const FEATURES = [
+  {
+    name: 'typescript',
+    aliases: ['ts'],
+    key: 'needsTypeScript',
+    message: 'Add TypeScript?',
+    layers: ['config/typescript'],
+    detect: (root) => fs.existsSync(path.resolve(root, 'tsconfig.json'))
+  },
+  {
+    name: 'jsx',
+    key: 'needsJsx',
+    message: 'Add JSX Support?',
+    layers: ['config/jsx'],
+    detect: hasDependency('@vitejs/plugin-vue-jsx')
+  },
+  {
+    name: 'library',
+    aliases: ['lib'],
+    key: 'needsLibrary',
+    message: 'Build a component library instead of an application?',
+    layers: ({ needsTypeScript }) => [
+      'config/library',
+      ...(needsTypeScript ? ['config/library-typescript'] : [])
+    ],
+    detect: (root, pkg) => Boolean(pkg.peerDependencies && pkg.peerDependencies.vue),
+    // the app is only a playground for the components, it's neither rendered nor served
+    conflicts: ['ssr', 'pwa', 'e2e']
+  },
+  {
+    name: 'i18n',
+    aliases: ['vue-i18n'],
+    key: 'needsI18n',
+    message: 'Add Vue I18n for internationalization?',
+    layers: ({ needsTypeScript }) => [
+      'config/i18n',
+      ...(needsTypeScript ? ['config/i18n-typescript'] : [])
+    ],
+    detect: hasDependency('vue-i18n'),
+    // it comes before the router, which switches the locale on navigation
+    entry: ({ needsSsr }) =>
+      needsSsr
+        ? {
+            import: '{ createI18n }',
+            from: './i18n',
+            use: 'i18n',
+            instance: 'i18n',
+            create: 'createI18n()'
+          }
+        : { import: 'i18n', from: './i18n', use: 'i18n' }
+  },
+  {
+    name: 'router',
+    aliases: ['vue-router'],
+    key: 'needsRouter',
+    message: 'Add Vue Router for Single Page Application development?',
+    layers: ['config/router'],
+    detect: hasDependency('vue-router'),
+    entry: ({ needsSsr, needsI18n }) =>
+      needsSsr
+        ? {
+            import: '{ createRouter }',
+            from: './router',
+            use: 'router',
+            instance: 'router',
+            create: needsI18n ? 'createRouter(i18n)' : 'createRouter()'
+          }
+        : { import: 'router', from: './router', use: 'router' }
+  },
+  {
+    name: 'pinia',
+    key: 'needsPinia',
+    group: 'stateManagement',
+    title: 'Pinia',
+    layers: ['config/pinia'],
+    detect: hasDependency('pinia'),
+    entry: ({ needsSsr }) =>
+      needsSsr
+        ? {
+            import: '{ createPinia }',
+            from: 'pinia',
+            use: 'pinia',
+            instance: 'pinia',
+            create: 'createPinia()'
+          }
+        : { import: '{ createPinia }', from: 'pinia', use: 'createPinia()' }
+  },
+  {
+    name: 'vuex',
+    key: 'needsVuex',
+    group: 'stateManagement',
+    title: 'Vuex',
+    layers: ({ needsTypeScript }) => [
+      'config/vuex',
+      ...(needsTypeScript ? ['config/vuex-typescript'] : [])
+    ],
+    detect: hasDependency('vuex'),
+    // the typed store is injected with a key
+    entry: ({ needsTypeScript, needsSsr }) => {
+      const use = needsTypeScript ? 'store, key' : 'store'
+      if (needsSsr) {
+        return {
+          import: needsTypeScript ? '{ createStore, key }' : '{ createStore }',
+          from: './store',
+          use,
+          instance: 'store',
+          create: 'createStore()'
+        }
+      }
+      return { import: needsTypeScript ? '{ store, key }' : 'store', from: './store', use }
+    }
+  },
+  {
+    name: 'ssr',
+    key: 'needsSsr',
+    message: 'Add Server-Side Rendering (SSR)?',
+    layers: ['config/ssr'],
+    detect: (root) => fs.existsSync(path.resolve(root, 'server.js'))
+  },
+  {
+    name: 'pwa',
+    key: 'needsPwa',
+    message: 'Add Progressive Web App (PWA) support?',
+    layers: ['config/pwa'],
+    detect: hasDependency('vite-plugin-pwa'),
+    // the service worker is registered as soon as the app is created, which needs a browser
+    conflicts: ['ssr']
+  },
+  {
+    name: 'sass',
+    key: 'needsSass',
+    group: 'styling',
+    title: 'Sass',
+    layers: ['config/sass'],
+    preprocessor: { lang: 'scss', extension: 'scss' },
+    detect: hasDependency('sass')
+  },
+  {
+    name: 'less',
+    key: 'needsLess',
+    group: 'styling',
+    title: 'Less',
+    layers: ['config/less'],
+    preprocessor: { lang: 'less', extension: 'less' },
+    detect: hasDependency('less')
+  },
+  {
+    name: 'stylus',
+    key: 'needsStylus',
+    group: 'styling',
+    title: 'Stylus',
+    layers: ['config/stylus'],
+    preprocessor: { lang: 'stylus', extension: 'styl' },
+    detect: hasDependency('stylus')
+  },
+  {
+    name: 'tailwind',
+    aliases: ['tailwindcss'],
+    key: 'needsTailwind',
+    group: 'styling',
+    title: 'Tailwind CSS',
+    layers: ['config/tailwind'],
+    detect: hasDependency('tailwindcss')
+  },
+  {
+    name: 'unocss',
+    key: 'needsUnocss',
+    group: 'styling',
+    title: 'UnoCSS',
+    layers: ['config/unocss'],
+    detect: hasDependency('unocss')
+  },
+  {
+    name: 'vitest',
+    key: 'needsVitest',
+    group: 'unitTesting',
+    title: 'Vitest',
+    layers: ['config/vitest'],
+    detect: hasDependency('vitest')
+  },
+  {
+    name: 'cypress-ct',
+    key: 'needsCypressCT',
+    group: 'unitTesting',
+    title: 'Cypress Component Testing',
+    layers: ['config/cypress', 'config/cypress-ct'],
+    detect: hasDependency('@cypress/vue')
+  },
+  {
+    name: 'e2e',
+    key: 'needsE2eTesting',
+    message: 'Add Cypress for End-to-End testing?',
+    layers: ['config/cypress', 'config/cypress-e2e'],
+    detect: (root, pkg) => Boolean(pkg.scripts && pkg.scripts['test:e2e'])
+  },
+  {
+    name: 'eslint',
+    key: 'needsEslint',
+    message: 'Add ESLint for code quality (with Prettier for formatting)?',
+    layers: ['config/eslint'],
+    detect: hasDependency('eslint'),
+    render: renderEslint
+  }
+]
+
+export const FEATURE_GROUPS = {
+  stateManagement: 'Add a store for state management?',
+  styling: 'Add a CSS preprocessor or a utility-first CSS framework?',
+  unitTesting: 'Add unit testing?'
+}
+
+/**
+ * Find out the features an existing project already has
+ * @param {string} root the project root
+ * @returns {string[]}
+ */
+export function detectFeatures(root) {
+  const pkg = JSON.parse(fs.readFileSync(path.resolve(root, 'package.json'), 'utf8'))
+  return FEATURES.filter((feature) => feature.detect(root, pkg)).map((feature) => feature.name)
+}
+
+export function getFeature(name) {
+  return FEATURES.find((feature) => feature.name === name)
+}
+
+/**
+ * The variables available in `.ejs` template files, e.g. `needsTypeScript`,
+ * also passed to the hooks of the features and plugins
+ * @param {string[]} names the selected features
+ * @param {Object[]} [plugins] the plugins
+ */
+export function getTemplateData(names, plugins = []) {
+  const data = {}
+  for (const { name, key } of FEATURES) {
+    data[key] = names.includes(name)
+  }
+  data.needsCypress = data.needsCypressCT || data.needsE2eTesting
+  // Vue plugins to be installed in `src/main.js`
+  data.appPlugins = [...names.map(getFeature), ...plugins]
+    .map((feature) => getEntry(feature, data))
+    .filter(Boolean)
+  return data
+}
+
+/**
+ * @param {Feature} feature a feature or a plugin
+ * @param {Object} data the template data
+ * @returns {Entry | undefined} the Vue plugin it installs in `src/main.js`
+ */
+export function getEntry({ entry }, data) {
+  return typeof entry === 'function' ? entry(data) : entry
+}
+
+/**
+ * @param {string[]} names the selected features
+ * @returns {import('./preprocessor.js').Preprocessor | undefined}
+ */
+export function getPreprocessor(names) {
+  const feature = names.map(getFeature).find((feature) => feature && feature.preprocessor)
+  return feature && feature.preprocessor
+}
+
+/**
+ * @param {string[]} names
+ * @returns {string[]} the feature names, in the order of `FEATURES`
+ */
+export function sortFeatures(names) {
+  return FEATURES.map((feature) => feature.name).filter((name) => names.includes(name))
+}
+
+/**
+ * @param {string[]} names
+ * @returns {[Feature, Feature] | undefined} the first pair of features that cannot be used together
+ */
+export function findConflict(names) {
+  const features = names.map(getFeature).filter(Boolean)
+  for (const a of features) {
+    for (const b of features) {
+      if (a !== b && ((a.group && a.group === b.group) || (a.conflicts || []).includes(b.name))) {
+        return [a, b]
+      }
+    }
+  }
+}
+
+/**
+ * The prompts for selecting features, in the format of the `prompts` package.
+ * Features in a group share one select prompt, the others are yes/no toggles;
+ * `type` may be a function of the previous answers, as in `prompts`.
+ */
+export function getFeaturePrompts() {
+  const questions = []
+
+  for (const feature of FEATURES) {
+    if (!feature.group) {
+      questions.push({
+        name: feature.key,
+        // skipped if a feature that cannot be used together with it is selected already
+        type: (prev, answers) =>
+          fromAnswers(answers).some((name) => findConflict([name, feature.name])) ? null : 'toggle',
+        message: feature.message,
+        initial: false,
+        active: 'Yes',
+        inactive: 'No'
+      })
+    } else if (!questions.some((question) => question.name === feature.group)) {
+      questions.push({
+        name: feature.group,
+        type: 'select',
+        message: FEATURE_GROUPS[feature.group],
+        choices: [
+          { title: 'None', value: 'none' },
+          ...FEATURES.filter(({ group }) => group === feature.group).map(({ name, title }) => ({
+            title,
+            value: name
+          }))
+        ],
+        initial: 0
+      })
+    }
+  }
+
+  return questions
+}
+
+/**
+ * Convert the features to the answers of `getFeaturePrompts()`
+ * @param {string[]} names
+ */
+export function toAnswers(names) {
+  const answers = {}
+  for (const feature of FEATURES) {
+    if (feature.group) {
+      if (names.includes(feature.name)) {
+        answers[feature.group] = feature.name
+      } else if (!answers[feature.group]) {
+        answers[feature.group] = 'none'
+      }
+    } else {
+      answers[feature.key] = names.includes(feature.name)
+    }
+  }
+  return answers
+}
+
+/**
+ * Convert the answers of `getFeaturePrompts()` to the feature names
+ * @param {Object} answers
+ * @returns {string[]}
+ */
+export function fromAnswers(answers) {
+  return FEATURES.filter((feature) =>
+    feature.group ? answers[feature.group] === feature.name : answers[feature.key]
+  ).map((feature) => feature.name)
+}
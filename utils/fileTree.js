@@ -0,0 +1,42 @@
+import fs from 'fs'
+import path from 'path'
+
+import deepMerge from './deepMerge.js'
+import sortDependencies from './sortDependencies.js'
+
+/**
+ * The files of a project being rendered, kept in memory until it's complete:
+ * paths relative to the project root, separated by `/`, mapped to the contents.
+ * Templates are rendered into it, then transformed, and finally written to disk at once.
+ * @typedef {Map<string, string | Buffer>} FileTree
+ */
+
+/**
+ * @param {FileTree} tree
+ * @returns {Object} the parsed `package.json`
+ */
+export function readPackageJson(tree) {
+  return JSON.parse(tree.get('package.json').toString())
+}
+
+/**
+ * Merge the fields into `package.json`, which must exist in the tree
+ * @param {FileTree} tree
+ * @param {Object} fragment
+ */
+export function mergePackageJson(tree, fragment) {
+  const pkg = sortDependencies(deepMerge(readPackageJson(tree), fragment))
+  tree.set('package.json', JSON.stringify(pkg, null, 2) + '\n')
+}
+
+/**
+ * @param {FileTree} tree
+ * @param {string} root the directory to write the files to, it's created if missing
+ */
+export function writeTree(tree, root) {
+  for (const [file, content] of tree) {
+    const dest = path.resolve(root, file)
+    fs.mkdirSync(path.dirname(dest), { recursive: true })
+    fs.writeFileSync(dest, content)
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * Format a list of file paths as a tree, like the output of the `tree` command
+ * @param {string} rootName the label of the root node
+ * @param {string[]} files file paths relative to the root, separated by `/`
+ * @returns {string}
+ */
+export default function formatTree(rootName, files) {
+  const root = {}
+  for (const file of files) {
+    let node = root
+    for (const segment of file.split('/')) {
+      node = node[segment] = node[segment] || {}
+    }
+  }
+
+  const lines = [rootName]
+  const formatNode = (node, indent) => {
+    const names = Object.keys(node).sort()
+    names.forEach((name, index) => {
+      const isLast = index === names.length - 1
+      lines.push(`${indent}${isLast ? '└── ' : '├── '}${name}`)
+      formatNode(node[name], indent + (isLast ? '    ' : '│   '))
+    })
+  }
+  formatNode(root, '')
+
+  return lines.join('\n')
+}
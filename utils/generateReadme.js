@@ -10,12 +10,45 @@ const sfcTypeSupportDoc =
   '\n' +
   'However, if you wish to get actual prop types in `.vue` imports (for example to get props validation when using manual `h(...)` calls), you can run `Volar: Switch TS Plugin on/off` from VSCode command palette.\n'
 
+const yarnPnpDoc = (packageManager) =>
+  '\n' +
+  "If you are using Yarn Plug'n'Play, run the following command so that the editor can resolve the dependencies:\n" +
+  '\n' +
+  '```sh\n' +
+  `${getCommand(packageManager, 'dlx', '@yarnpkg/sdks vscode')}\n` +
+  '```\n'
+
+const workspaceDoc =
+  '\nThe project is a package of a workspace, run the following commands in the root of the workspace.\n'
+
+const libraryDoc = (needsTypeScript) => {
+  const entry = `src/index.${needsTypeScript ? 'ts' : 'js'}`
+  const types = needsTypeScript ? ' along with their type declarations' : ''
+  return (
+    '\n' +
+    '## Library\n' +
+    '\n' +
+    `The components exported from \`${entry}\` are built into \`dist/\`${types}, see [Library Mode](https://vitejs.dev/guide/build.html#library-mode).\n` +
+    '`index.html` and `src/App.vue` are only a playground to develop them, which is not built.\n'
+  )
+}
+
 export default function generateReadme({
   projectName,
   packageManager,
+  workspacePackage,
   needsTypeScript,
-  needsTests
+  needsVitest,
+  needsCypressCT,
+  needsE2eTesting,
+  needsEslint,
+  needsSsr,
+  needsLibrary
 }) {
+  // run in the root of the workspace, if the project is a package of it
+  const getScriptCommand = (scriptName) =>
+    getCommand(packageManager, scriptName, undefined, workspacePackage)
+
   let readme = `# ${projectName}
 
 This template should help get you started developing with Vue 3 in Vite.
@@ -23,13 +56,15 @@ This template should help get you started developing with Vue 3 in Vite.
 ## Recommended IDE Setup
 
 [VSCode](https://code.visualstudio.com/) + [Volar](https://marketplace.visualstudio.com/items?itemName=johnsoncodehk.volar) (and disable Vetur).
-${needsTypeScript ? sfcTypeSupportDoc : ''}
+${packageManager === 'yarn-berry' ? yarnPnpDoc(packageManager) : ''}${
+    needsTypeScript ? sfcTypeSupportDoc : ''
+  }${needsLibrary ? libraryDoc(needsTypeScript) : ''}
 ## Customize configuration
 
 See [Vite Configuration Reference](https://vitejs.dev/config/).
 
 ## Project Setup
-
+${workspacePackage ? workspaceDoc : ''}
 `
 
   let npmScriptsDescriptions = `\`\`\`sh
@@ -39,34 +74,70 @@ ${getCommand(packageManager, 'install')}
 ### Compile and Hot-Reload for Development
 
 \`\`\`sh
-${getCommand(packageManager, 'dev')}
+${getScriptCommand('dev')}
+\`\`\`
+
+### ${needsTypeScript ? 'Type-Check, ' : ''}Compile and Minify ${
+    needsLibrary ? 'the Library' : 'for Production'
+  }
+
+\`\`\`sh
+${getScriptCommand('build')}
 \`\`\`
+`
 
-### ${needsTypeScript ? 'Type-Check, ' : ''}Compile and Minify for Production
+  if (needsSsr) {
+    npmScriptsDescriptions += `
+### Compile and Run the Server-Side Rendering Server for Production
 
 \`\`\`sh
-${getCommand(packageManager, 'build')}
+${getScriptCommand('serve')}
 \`\`\`
 `
+  }
 
-  if (needsTests) {
+  if (needsVitest) {
+    npmScriptsDescriptions += `
+### Run Unit Tests with [Vitest](https://vitest.dev/)
+
+\`\`\`sh
+${getScriptCommand('test:unit')}
+\`\`\`
+`
+  }
+
+  if (needsCypressCT) {
     npmScriptsDescriptions += `
 ### Run Unit Tests with [Cypress Component Testing](https://docs.cypress.io/guides/component-testing/introduction)
 
 \`\`\`sh
-${getCommand(packageManager, 'test:unit')} # or \`${getCommand(
-      packageManager,
-      'test:unit:ci'
-    )}\` for headless testing
+${getScriptCommand('test:unit')} # or \`${getScriptCommand('test:unit:ci')}\` for headless testing
 \`\`\`
+`
+  }
 
+  if (needsE2eTesting) {
+    npmScriptsDescriptions += `
 ### Run End-to-End Tests with [Cypress](https://www.cypress.io/)
 
 \`\`\`sh
-${getCommand(packageManager, 'test:e2e')} # or \`${getCommand(
-      packageManager,
-      'test:e2e:ci'
-    )}\` for headless testing
+${getScriptCommand('test:e2e')} # or \`${getScriptCommand('test:e2e:ci')}\` for headless testing
+\`\`\`
+`
+  }
+
+  if (needsEslint) {
+    npmScriptsDescriptions += `
+### Lint with [ESLint](https://eslint.org/)
+
+\`\`\`sh
+${getScriptCommand('lint')}
+\`\`\`
+
+### Format with [Prettier](https://prettier.io/)
+
+\`\`\`sh
+${getScriptCommand('format')}
 \`\`\`
 `
   }
@@ -1,7 +1,48 @@
-export default function getCommand(packageManager, scriptName) {
+// `yarn-berry` stands for Yarn 2 and later, it's invoked as `yarn` as well
+export const PACKAGE_MANAGERS = ['npm', 'yarn', 'yarn-berry', 'pnpm', 'bun']
+
+/**
+ * Get the command line to run an npm script (or to install the dependencies)
+ * with the given package manager
+ * @param {string} packageManager one of `PACKAGE_MANAGERS`
+ * @param {string} scriptName `install`, `dlx` or the name of an npm script
+ * @param {string} [args] arguments passed to the script or `dlx`
+ * @param {string} [workspacePackage] the name of the package to run the script of,
+ *   when it's run in the root of the workspace that the package belongs to
+ */
+export default function getCommand(packageManager, scriptName, args, workspacePackage) {
+  const bin = packageManager === 'yarn-berry' ? 'yarn' : packageManager
+
   if (scriptName === 'install') {
-    return packageManager === 'yarn' ? 'yarn' : `${packageManager} install`
+    return bin === 'yarn' ? 'yarn' : `${bin} install`
+  }
+
+  if (scriptName === 'dlx') {
+    // Yarn 1 does not have a `dlx` command
+    if (packageManager === 'npm' || packageManager === 'yarn') {
+      return `npx ${args}`
+    }
+    return packageManager === 'bun' ? `bunx ${args}` : `${bin} dlx ${args}`
   }
 
-  return packageManager === 'npm' ? `npm run ${scriptName}` : `${packageManager} ${scriptName}`
+  // `bun test`, `bun build`, etc. are built-in commands that would shadow the npm scripts,
+  // so bun needs the explicit `run` too
+  let command =
+    packageManager === 'npm' || packageManager === 'bun'
+      ? `${bin} run ${scriptName}`
+      : `${bin} ${scriptName}`
+  if (workspacePackage) {
+    command = {
+      npm: `npm run ${scriptName} -w ${workspacePackage}`,
+      yarn: `yarn workspace ${workspacePackage} ${scriptName}`,
+      'yarn-berry': `yarn workspace ${workspacePackage} ${scriptName}`,
+      pnpm: `pnpm --filter ${workspacePackage} ${scriptName}`,
+      bun: `bun run --filter ${workspacePackage} ${scriptName}`
+    }[packageManager]
+  }
+
+  if (!args) {
+    return command
+  }
+  return packageManager === 'npm' ? `${command} -- ${args}` : `${command} ${args}`
 }
@@ -0,0 +1,66 @@
+import fs from 'fs'
+import path from 'path'
+
+import deepMerge from './deepMerge.js'
+import sortDependencies from './sortDependencies.js'
+import { writeFilesOrRollback } from './staging.js'
+
+// appended to the paths of the new versions of the conflicting files
+export const CONFLICT_SUFFIX = '.create-vue'
+
+// an invalid `package.json` is treated as a conflict, instead of being merged
+function parseJson(content) {
+  try {
+    return JSON.parse(content.toString())
+  } catch (e) {
+    return undefined
+  }
+}
+
+/**
+ * Merge a generated project into an existing directory without losing any of its files:
+ * - the missing files are added,
+ * - `package.json` gets the fields it doesn't have yet, the existing values are kept,
+ * - the other existing files are kept, and if they differ from the generated ones,
+ *   the generated versions are written next to them with the `.create-vue` suffix.
+ * Nothing is written until the result is computed, and if writing fails,
+ * the files written so far are reverted, so the directory is left as it was.
+ * @param {import('./fileTree.js').FileTree} tree the generated project
+ * @param {string} dest the existing directory
+ * @returns {{ files: string[], conflicts: string[] }} paths of the written files,
+ *   and of the existing files that differ from the generated ones, relative to `dest`
+ */
+export default function mergeDirectory(tree, dest) {
+  const result = { files: [], conflicts: [] }
+  const writes = []
+
+  for (const file of [...tree.keys()].sort()) {
+    const generated = Buffer.from(tree.get(file))
+    const destPath = path.resolve(dest, file)
+
+    if (!fs.existsSync(destPath)) {
+      writes.push([destPath, generated])
+      result.files.push(file)
+      continue
+    }
+
+    const content = fs.readFileSync(destPath)
+    if (content.equals(generated)) {
+      continue
+    }
+
+    const existingPkg = file === 'package.json' && parseJson(content)
+    if (existingPkg) {
+      const pkg = sortDependencies(deepMerge(JSON.parse(generated.toString()), existingPkg))
+      writes.push([destPath, JSON.stringify(pkg, null, 2) + '\n'])
+      result.files.push(file)
+    } else {
+      writes.push([destPath + CONFLICT_SUFFIX, generated])
+      result.files.push(file + CONFLICT_SUFFIX)
+      result.conflicts.push(file)
+    }
+  }
+
+  writeFilesOrRollback(writes)
+  return result
+}
@@ -0,0 +1,70 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+
+// Written to the root of the generated project,
+// to tell how it was generated when upgrading it later
+export const METADATA_FILE = '.create-vue-meta.json'
+
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex')
+}
+
+/**
+ * @returns {string} the version of `create-vue` that is running
+ */
+export function getGeneratorVersion() {
+  // `__dirname` is the directory of the bundle, see the note about `templateRoot` in `createProject.js`
+  return JSON.parse(fs.readFileSync(path.resolve(__dirname, 'package.json'), 'utf8')).version
+}
+
+/**
+ * @param {string} root the project root
+ * @returns {Object | undefined} the metadata, or `undefined` if the project doesn't have it
+ */
+export function readMetadata(root) {
+  const filepath = path.resolve(root, METADATA_FILE)
+  if (!fs.existsSync(filepath)) {
+    return
+  }
+  return JSON.parse(fs.readFileSync(filepath, 'utf8'))
+}
+
+/**
+ * @param {import('./fileTree.js').FileTree} tree
+ * @returns {Object<string, string>} the hashes of the files in the tree, by their paths
+ */
+export function hashFiles(tree) {
+  const files = {}
+  for (const [file, content] of tree) {
+    if (file !== METADATA_FILE) {
+      files[file] = hashContent(content)
+    }
+  }
+  return files
+}
+
+/**
+ * The metadata of the project, with the hashes of its files,
+ * which are considered as generated and not modified by the user yet
+ * @param {Object} options the options of `createProject()` that the project is generated with
+ * @param {Object<string, string>} files the hashes of the files, by their paths relative to the root
+ * @returns {string} the content of the metadata file
+ */
+export function stringifyMetadata(options, files) {
+  const sortedFiles = {}
+  for (const key of Object.keys(files).sort()) {
+    sortedFiles[key] = files[key]
+  }
+
+  const metadata = { version: getGeneratorVersion(), options, files: sortedFiles }
+  return JSON.stringify(metadata, null, 2) + '\n'
+}
+
+/**
+ * Write the metadata to the project, see `stringifyMetadata()`
+ * @param {string} root the project root
+ */
+export function writeMetadata(root, options, files) {
+  fs.writeFileSync(path.resolve(root, METADATA_FILE), stringifyMetadata(options, files))
+}
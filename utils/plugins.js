@@ -0,0 +1,116 @@
+import fs from 'fs'
+import path from 'path'
+import { createRequire } from 'module'
+import { pathToFileURL } from 'url'
+
+/**
+ * A plugin is a feature provided by a third-party module,
+ * it goes through the same pipeline as the features in `features.js`,
+ * after all of them, in the order the plugins are given.
+ * @typedef {Object} Plugin
+ * @property {string} name shown in the error messages
+ * @property {Object[]} [prompts] questions in the format of the `prompts` package,
+ *   asked after the built-in ones; the answers are passed to the functions below
+ * @property {string[] | ((data: Object) => string[])} [layers] template directories to render,
+ *   relative to the plugin module; `.ejs` files in them can use the answers
+ * @property {Object | ((data: Object) => Object)} [package] merged into `package.json`
+ * @property {(tree: import('./fileTree.js').FileTree, data: Object, context: { root: string }) => void} [render]
+ *   called after the layers are rendered, to change the files of the project in memory;
+ *   `root` is the absolute path to the directory that the project is created in,
+ *   which is not written yet
+ * @property {import('./features.js').Entry | ((data: Object) => import('./features.js').Entry)} [entry]
+ *   the Vue plugin to be installed in `src/main.js`
+ * @property {(data: Object) => string | void} [validate] return a message to reject
+ *   the selected features, e.g. `'requires TypeScript'`
+ *
+ * `data` contains the answers to the plugin prompts,
+ * and the `needsTypeScript`, `needsRouter`, etc. of the built-in features.
+ */
+
+/**
+ * Load a plugin from a file or an installed package, either CommonJS or an ES module.
+ * The module should export the plugin object (`module.exports = { name, ... }`
+ * or `export default { name, ... }`), or a function that returns it.
+ * @param {string} nameOrPath a path relative to `cwd`, or the name of a package
+ * @param {string} cwd
+ * @returns {Promise<Plugin>} the plugin, with `layers` resolved to absolute paths
+ */
+export async function loadPlugin(nameOrPath, cwd) {
+  const require = createRequire(path.resolve(cwd, 'package.json'))
+  const isPath = fs.existsSync(path.resolve(cwd, nameOrPath))
+
+  let filepath
+  try {
+    filepath = require.resolve(isPath ? path.resolve(cwd, nameOrPath) : nameOrPath)
+  } catch (e) {
+    throw new Error(
+      `Cannot find plugin "${nameOrPath}": it is neither a file nor an installed package`
+    )
+  }
+
+  let plugin
+  try {
+    // a CommonJS module is imported as the default export
+    const module = await import(pathToFileURL(filepath).href)
+    plugin = module.default !== undefined ? module.default : module
+  } catch (importError) {
+    // for the Node.js versions that cannot import ES modules
+    try {
+      plugin = require(filepath)
+    } catch (e) {
+      throw importError
+    }
+  }
+  if (plugin && plugin.__esModule) {
+    plugin = plugin.default
+  }
+  if (typeof plugin === 'function') {
+    plugin = plugin()
+  }
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error(`Invalid plugin "${nameOrPath}": expected an object to be exported`)
+  }
+
+  const pluginDir = path.dirname(filepath)
+  const resolveLayers = (layers) => layers.map((layer) => path.resolve(pluginDir, layer))
+  const { layers = [] } = plugin
+
+  return {
+    ...plugin,
+    name: plugin.name || nameOrPath,
+    layers:
+      typeof layers === 'function' ? (data) => resolveLayers(layers(data)) : resolveLayers(layers)
+  }
+}
+
+/**
+ * The answers to the prompts of the plugins when they are not asked,
+ * i.e. their `initial` values, as `prompts` would answer them by default
+ * @param {Object[]} questions in the format of the `prompts` package
+ * @returns {Object} the answers by the names of the questions
+ */
+export function getInitialAnswers(questions) {
+  const answers = {}
+  for (const question of questions) {
+    const resolve = (value) =>
+      typeof value === 'function' ? value(undefined, { ...answers }, question) : value
+    const type = resolve(question.type)
+    const initial = resolve(question.initial)
+    const choices = resolve(question.choices) || []
+
+    if (type === 'select' || type === 'autocomplete') {
+      // the index of the initial choice
+      const choice = choices[initial || 0]
+      answers[question.name] = choice && (choice.value !== undefined ? choice.value : choice.title)
+    } else if (type === 'multiselect' || type === 'autocompleteMultiselect') {
+      answers[question.name] = choices
+        .filter((choice) => choice.selected)
+        .map((choice) => (choice.value !== undefined ? choice.value : choice.title))
+    } else if (type === 'confirm' || type === 'toggle') {
+      answers[question.name] = Boolean(initial)
+    } else {
+      answers[question.name] = initial
+    }
+  }
+  return answers
+}
@@ -0,0 +1,44 @@
+import path from 'path'
+
+/**
+ * @typedef {Object} Preprocessor
+ * @property {string} lang the `lang` attribute of the `<style>` blocks, e.g. `scss`
+ * @property {string} extension the extension of the stylesheets, e.g. `scss`
+ */
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Rewrite the stylesheets of the project for a CSS preprocessor:
+ * the `.css` files in `src/` are renamed to its extension, along with their imports,
+ * and the `<style>` blocks of the `.vue` files get its `lang`.
+ * CSS is valid in all the supported preprocessors, so the contents are kept.
+ * @param {import('./fileTree.js').FileTree} tree
+ * @param {Preprocessor} preprocessor
+ */
+export default function usePreprocessor(tree, { lang, extension }) {
+  const stylesheets = []
+  for (const [file, content] of [...tree]) {
+    if (file.startsWith('src/') && file.endsWith('.css')) {
+      tree.delete(file)
+      tree.set(file.replace(/\.css$/, `.${extension}`), content)
+      stylesheets.push(path.posix.basename(file, '.css'))
+    }
+  }
+
+  for (const [file, content] of tree) {
+    if (!/\.(vue|[jt]sx?)$/.test(file)) {
+      continue
+    }
+    let updated = content.toString()
+    for (const name of stylesheets) {
+      // e.g. `@import './assets/base.css'` in `App.vue`
+      const pattern = new RegExp(`([/'"]${escapeRegExp(name)})\\.css(?=['"])`, 'g')
+      updated = updated.replace(pattern, `$1.${extension}`)
+    }
+    if (file.endsWith('.vue')) {
+      updated = updated.replace(/<style(?![^>]*\blang=)/g, `<style lang="${lang}"`)
+    }
+    tree.set(file, updated)
+  }
+}
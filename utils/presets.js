@@ -0,0 +1,89 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import { getFeaturePrompts } from './features.js'
+
+// Only these keys are read from / written to a preset,
+// they are the same names as the answers of the prompts in `index.js`
+const PRESET_KEYS = [
+  'projectName',
+  'packageName',
+  ...getFeaturePrompts().map((question) => question.name)
+]
+
+export function getUserConfigPath() {
+  return process.env.CREATE_VUE_CONFIG || path.resolve(os.homedir(), '.create-vue.json')
+}
+
+function readUserConfig() {
+  const configPath = getUserConfigPath()
+  if (!fs.existsSync(configPath)) {
+    return {}
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'))
+  } catch (e) {
+    throw new Error(`Failed to parse ${configPath}: ${e.message}`)
+  }
+}
+
+function pickPresetKeys(answers) {
+  const preset = {}
+  for (const key of PRESET_KEYS) {
+    if (answers[key] !== undefined) {
+      preset[key] = answers[key]
+    }
+  }
+  return preset
+}
+
+/**
+ * Load a preset, either from a JSON file or by its name in the user config file
+ * @param {string} nameOrPath path to a preset file, or the name of a saved preset
+ * @param {string} cwd the directory to resolve relative paths against
+ * @returns {Object} the answers stored in the preset
+ */
+export function loadPreset(nameOrPath, cwd) {
+  const filepath = path.resolve(cwd, nameOrPath)
+  let preset
+
+  if (fs.existsSync(filepath) && fs.statSync(filepath).isFile()) {
+    try {
+      preset = JSON.parse(fs.readFileSync(filepath, 'utf8'))
+    } catch (e) {
+      throw new Error(`Failed to parse preset file ${filepath}: ${e.message}`)
+    }
+  } else {
+    const { presets = {} } = readUserConfig()
+    if (!Object.prototype.hasOwnProperty.call(presets, nameOrPath)) {
+      throw new Error(
+        `Cannot find preset "${nameOrPath}": ` +
+          `it is neither a file nor a preset saved in ${getUserConfigPath()}`
+      )
+    }
+    preset = presets[nameOrPath]
+  }
+
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+    throw new Error(`Invalid preset "${nameOrPath}": expected a JSON object`)
+  }
+
+  return pickPresetKeys(preset)
+}
+
+/**
+ * Save the answers as a named preset in the user config file
+ * @param {string} name name of the preset
+ * @param {Object} answers the answers to save
+ */
+export function savePreset(name, answers) {
+  const config = readUserConfig()
+  config.presets = {
+    ...config.presets,
+    [name]: pickPresetKeys(answers)
+  }
+
+  fs.writeFileSync(getUserConfigPath(), JSON.stringify(config, null, 2) + '\n')
+}
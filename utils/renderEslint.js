@@ -0,0 +1,119 @@
+import { mergePackageJson } from './fileTree.js'
+
+const isValidIdentifier = (key) => /^[A-Za-z_$][\w$]*$/.test(key)
+
+// Serialize the config like hand-written JavaScript formatted by Prettier,
+// i.e. single-quoted strings, unquoted keys where possible,
+// and arrays on a single line if they fit in the print width
+function stringify(value, indent = '', column = indent.length) {
+  const innerIndent = indent + '  '
+
+  if (Array.isArray(value)) {
+    const items = value.map((item) => stringify(item, innerIndent))
+    const inline = `[${items.join(', ')}]`
+    // leave room for the trailing comma
+    if (column + inline.length + 1 <= 100 && !inline.includes('\n')) {
+      return inline
+    }
+    return `[\n${items.map((item) => innerIndent + item).join(',\n')}\n${indent}]`
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).map((key) => {
+      const prefix = `${innerIndent}${isValidIdentifier(key) ? key : `'${key}'`}: `
+      return prefix + stringify(value[key], innerIndent, prefix.length)
+    })
+    return `{\n${entries.join(',\n')}\n${indent}}`
+  }
+
+  return typeof value === 'string' ? `'${value}'` : String(value)
+}
+
+/**
+ * Generate `.eslintrc.cjs` according to the selected features,
+ * and add the ESLint plugins they need to `package.json`.
+ * The common dependencies and the npm scripts are in the `config/eslint` template.
+ * @param {import('./fileTree.js').FileTree} tree the files of the project
+ * @param {Object} features
+ * @param {boolean} features.needsTypeScript
+ * @param {boolean} features.needsJsx
+ * @param {boolean} features.needsCypress
+ * @param {boolean} features.needsCypressCT
+ * @param {boolean} features.needsSsr
+ */
+export default function renderEslint(
+  tree,
+  { needsTypeScript, needsJsx, needsCypress, needsCypressCT, needsSsr }
+) {
+  const config = {
+    root: true,
+    extends: [
+      'plugin:vue/vue3-recommended',
+      'eslint:recommended',
+      ...(needsTypeScript ? ['plugin:@typescript-eslint/recommended'] : []),
+      // turn off the rules that conflict with Prettier, so it must be the last one
+      '@vue/eslint-config-prettier'
+    ],
+    // `plugin:@typescript-eslint/recommended` would otherwise replace the parser for `.vue` files
+    ...(needsTypeScript ? { parser: 'vue-eslint-parser' } : {}),
+    parserOptions: {
+      ...(needsTypeScript ? { parser: '@typescript-eslint/parser' } : {}),
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      ...(needsJsx ? { ecmaFeatures: { jsx: true } } : {})
+    },
+    env: {
+      'vue/setup-compiler-macros': true
+    },
+    // the components of the templates, e.g. `Home.vue`, are named with a single word
+    rules: {
+      'vue/multi-word-component-names': 'off'
+    }
+  }
+  const devDependencies = {}
+
+  if (needsTypeScript) {
+    devDependencies['@typescript-eslint/eslint-plugin'] = '^5.8.0'
+    devDependencies['@typescript-eslint/parser'] = '^5.8.0'
+  }
+
+  const overrides = []
+
+  if (needsCypress) {
+    overrides.push(
+      {
+        files: [
+          'cypress/integration/**/*.spec.{js,ts,jsx,tsx}',
+          'cypress/support/**/*.{js,ts,jsx,tsx}',
+          ...(needsCypressCT ? ['src/**/__tests__/*.{js,ts,jsx,tsx}'] : [])
+        ],
+        extends: ['plugin:cypress/recommended']
+      },
+      // the plugins file is loaded by Cypress in Node.js, so it stays CommonJS
+      ...(needsTypeScript
+        ? [
+            {
+              files: ['cypress/plugins/**/*.js'],
+              rules: { '@typescript-eslint/no-var-requires': 'off' }
+            }
+          ]
+        : [])
+    )
+    devDependencies['eslint-plugin-cypress'] = '^2.12.1'
+  }
+
+  // the SSR server is run by Node.js without being compiled, so it stays CommonJS too
+  if (needsSsr && needsTypeScript) {
+    overrides.push({
+      files: ['server.js'],
+      rules: { '@typescript-eslint/no-var-requires': 'off' }
+    })
+  }
+
+  if (overrides.length) {
+    config.overrides = overrides
+  }
+
+  tree.set('.eslintrc.cjs', `/* eslint-env node */\nmodule.exports = ${stringify(config)}\n`)
+  mergePackageJson(tree, { devDependencies })
+}
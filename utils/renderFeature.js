@@ -0,0 +1,41 @@
+import path from 'path'
+
+import renderTemplate from './renderTemplate.js'
+import { mergePackageJson } from './fileTree.js'
+
+/**
+ * Render a feature or a plugin to the project:
+ * its template layers, its `package.json` fragment and then its `render` hook
+ * @param {Object} feature see `Feature` in `features.js` and `Plugin` in `plugins.js`
+ * @param {Object} options
+ * @param {import('./fileTree.js').FileTree} options.tree the files of the project
+ * @param {string} options.templateRoot the directory that relative layer paths are resolved against
+ * @param {Object} options.data the template data
+ * @param {string} options.root absolute path to the directory that the project is created in,
+ *   passed to the `render` hook
+ * @param {Set<string>} [options.renderedLayers] layers that are already rendered and to be skipped,
+ *   the layers rendered now are added to it
+ */
+export default function renderFeature(
+  feature,
+  { tree, templateRoot, data, root, renderedLayers = new Set() }
+) {
+  const { layers = [] } = feature
+  for (const layer of typeof layers === 'function' ? layers(data) : layers) {
+    if (!renderedLayers.has(layer)) {
+      renderedLayers.add(layer)
+      renderTemplate(path.resolve(templateRoot, layer), tree, data)
+    }
+  }
+
+  if (feature.package) {
+    mergePackageJson(
+      tree,
+      typeof feature.package === 'function' ? feature.package(data) : feature.package
+    )
+  }
+
+  if (feature.render) {
+    feature.render(tree, data, { root })
+  }
+}
@@ -1,47 +1,50 @@
 import fs from 'fs'
 import path from 'path'
+import ejs from 'ejs'
 
-import deepMerge from './deepMerge.js'
-import sortDependencies from './sortDependencies.js'
+import { preOrderDirectoryTraverse } from './directoryTraverse.js'
+import { mergePackageJson } from './fileTree.js'
 
 /**
- * Renders a template folder/file to the file system,
+ * Renders a template folder to the file tree,
  * by recursively copying all files under the `src` directory,
  * with the following exception:
  *   - `_filename` should be renamed to `.filename`
  *   - Fields in `package.json` should be recursively merged
- * @param {string} src source filename to copy
- * @param {string} dest destination filename of the copy operation
+ *   - `filename.ejs` should be rendered with EJS and written to `filename`,
+ *     with `data` available in the template, e.g. `<%_ if (needsTypeScript) { _%>`
+ * Other files are copied byte-for-byte.
+ * @param {string} src the template directory
+ * @param {import('./fileTree.js').FileTree} tree the files rendered so far, which it's rendered to
+ * @param {Object} [data] variables available in `.ejs` templates
  */
-function renderTemplate(src, dest) {
-  const stats = fs.statSync(src)
-
-  if (stats.isDirectory()) {
-    // if it's a directory, render its subdirectories and files recusively
-    fs.mkdirSync(dest, { recursive: true })
-    for (const file of fs.readdirSync(src)) {
-      renderTemplate(path.resolve(src, file), path.resolve(dest, file))
+function renderTemplate(src, tree, data = {}) {
+  preOrderDirectoryTraverse(
+    src,
+    () => {},
+    (filepath) => {
+      const segments = path.relative(src, filepath).split(path.sep)
+      let filename = segments.pop()
+      let content
+
+      if (filename.endsWith('.ejs')) {
+        content = ejs.render(fs.readFileSync(filepath, 'utf8'), data)
+        filename = filename.replace(/\.ejs$/, '')
+      } else {
+        content = fs.readFileSync(filepath)
+      }
+
+      const dest = [...segments, filename].join('/')
+      if (dest === 'package.json' && tree.has(dest)) {
+        // merge instead of overwriting
+        mergePackageJson(tree, JSON.parse(content.toString()))
+        return
+      }
+
+      // rename `_file` to `.file`
+      tree.set([...segments, filename.replace(/^_/, '.')].join('/'), content)
     }
-    return
-  }
-
-  const filename = path.basename(src)
-
-  if (filename === 'package.json' && fs.existsSync(dest)) {
-    // merge instead of overwriting
-    const existing = JSON.parse(fs.readFileSync(dest))
-    const newPackage = JSON.parse(fs.readFileSync(src))
-    const pkg = sortDependencies(deepMerge(existing, newPackage))
-    fs.writeFileSync(dest, JSON.stringify(pkg, null, 2) + '\n')
-    return
-  }
-
-  if (filename.startsWith('_')) {
-    // rename `_file` to `.file`
-    dest = path.resolve(path.dirname(dest), filename.replace(/^_/, '.'))
-  }
-
-  fs.copyFileSync(src, dest)
+  )
 }
 
 export default renderTemplate
@@ -0,0 +1,19 @@
+import { spawnSync } from 'child_process'
+
+/**
+ * Run a shell command synchronously, with its output piped to the current terminal
+ * @param {string} command the command line to run
+ * @param {string} cwd the working directory of the command
+ * @param {Object} [options]
+ * @param {boolean} [options.silent] do not print the output of the command
+ * @returns {boolean} whether the command exited successfully
+ */
+export default function runCommand(command, cwd, { silent = false } = {}) {
+  const { status, error } = spawnSync(command, {
+    cwd,
+    stdio: silent ? 'ignore' : 'inherit',
+    shell: true
+  })
+
+  return !error && status === 0
+}
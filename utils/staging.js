@@ -0,0 +1,159 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import emptyDir, { getBackupPath } from './emptyDir.js'
+import { preOrderDirectoryTraverse } from './directoryTraverse.js'
+
+/**
+ * Create a directory to render the project into before moving it to `root`.
+ * It's a hidden sibling of `root` so that the files can be renamed into place,
+ * or in the system temporary directory if the parent of `root` is not writable.
+ * @returns {string} path of the staging directory
+ */
+export function createStagingDir(root) {
+  const parent = path.dirname(root)
+  try {
+    fs.mkdirSync(parent, { recursive: true })
+    return fs.mkdtempSync(path.join(parent, `.${path.basename(root)}.create-vue-`))
+  } catch (e) {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'create-vue-'))
+  }
+}
+
+export function removeDir(dir) {
+  if (fs.existsSync(dir)) {
+    emptyDir(dir)
+    fs.rmdirSync(dir)
+  }
+}
+
+/**
+ * Write the files in place, restoring the previous contents of all of them if any write fails
+ * @param {[string, Buffer | string | undefined][]} writes absolute paths and contents,
+ *   the files without contents are removed
+ */
+export function writeFilesOrRollback(writes) {
+  const written = []
+  const createdDirs = []
+  try {
+    for (const [destPath, content] of writes) {
+      const previous = fs.existsSync(destPath) ? fs.readFileSync(destPath) : undefined
+      written.push([destPath, previous])
+      if (content === undefined) {
+        fs.unlinkSync(destPath)
+        continue
+      }
+      const createdDir = fs.mkdirSync(path.dirname(destPath), { recursive: true })
+      if (createdDir) {
+        createdDirs.push(createdDir)
+      }
+      fs.writeFileSync(destPath, content)
+    }
+  } catch (e) {
+    for (const [destPath, previous] of written.reverse()) {
+      if (previous) {
+        fs.writeFileSync(destPath, previous)
+      } else if (fs.existsSync(destPath)) {
+        fs.unlinkSync(destPath)
+      }
+    }
+    // they only contain the files written above, which are removed by now
+    for (const dir of createdDirs.reverse()) {
+      emptyDir(dir)
+      fs.rmdirSync(dir)
+    }
+    throw e
+  }
+}
+
+function copyDir(src, dest) {
+  fs.mkdirSync(dest, { recursive: true })
+  preOrderDirectoryTraverse(
+    src,
+    (dirpath) => fs.mkdirSync(path.resolve(dest, path.relative(src, dirpath)), { recursive: true }),
+    (filepath) => fs.copyFileSync(filepath, path.resolve(dest, path.relative(src, filepath)))
+  )
+}
+
+/**
+ * Move the entries of the staging directory into `dest`, then remove it
+ */
+export function moveDirContents(src, dest) {
+  fs.mkdirSync(dest, { recursive: true })
+  for (const entry of fs.readdirSync(src)) {
+    const from = path.resolve(src, entry)
+    const to = path.resolve(dest, entry)
+    try {
+      fs.renameSync(from, to)
+    } catch (e) {
+      // the staging directory is on another device
+      if (e.code !== 'EXDEV') {
+        throw e
+      }
+      if (fs.lstatSync(from).isDirectory()) {
+        copyDir(from, to)
+      } else {
+        fs.copyFileSync(from, to)
+      }
+    }
+  }
+  removeDir(src)
+}
+
+function moveEntries(src, dest) {
+  for (const entry of fs.readdirSync(src)) {
+    fs.renameSync(path.resolve(src, entry), path.resolve(dest, entry))
+  }
+}
+
+/**
+ * Replace the contents of `root` with the ones of the staging directory, which is removed.
+ * The existing entries of `root` are moved aside first and moved back if anything fails,
+ * so `root` is either completely replaced or left as it was.
+ * `root` itself is kept, as it may be the working directory.
+ * @param {string} stagingDir
+ * @param {string} root
+ * @param {Object} [options]
+ * @param {boolean} [options.backup] keep the existing entries in a sibling directory
+ *   named like `<root>.backup-<timestamp>` instead of removing them
+ * @returns {string | undefined} with `backup`, path of the backup directory
+ */
+export function replaceDirContents(stagingDir, root, { backup = false } = {}) {
+  const existed = fs.existsSync(root)
+  let asideDir
+  let isMovingIn = false
+  try {
+    if (existed && fs.readdirSync(root).length) {
+      if (backup) {
+        asideDir = getBackupPath(root)
+        fs.mkdirSync(asideDir)
+      } else {
+        asideDir = fs.mkdtempSync(path.join(path.dirname(root), `.${path.basename(root)}.old-`))
+      }
+      moveEntries(root, asideDir)
+    }
+    isMovingIn = true
+    moveDirContents(stagingDir, root)
+  } catch (e) {
+    // once moving in, all the existing entries are in `asideDir`,
+    // so whatever is in `root` comes from the staging directory
+    if (isMovingIn && fs.existsSync(root)) {
+      emptyDir(root)
+    }
+    if (asideDir && fs.existsSync(asideDir)) {
+      moveEntries(asideDir, root)
+      fs.rmdirSync(asideDir)
+    }
+    if (!existed && fs.existsSync(root)) {
+      fs.rmdirSync(root)
+    }
+    removeDir(stagingDir)
+    throw e
+  }
+
+  if (asideDir && !backup) {
+    removeDir(asideDir)
+  }
+  return backup ? asideDir : undefined
+}
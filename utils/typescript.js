@@ -0,0 +1,22 @@
+// They are loaded with `require()` in Node.js, by Cypress, PostCSS and Tailwind CSS
+// or to start the SSR server, so they stay CommonJS
+const COMMONJS_FILES = [
+  'cypress/plugins/index.js',
+  'server.js',
+  'postcss.config.js',
+  'tailwind.config.js'
+]
+
+/**
+ * The path of a rendered file in a TypeScript project:
+ * `.js` files are renamed to `.ts` except the CommonJS ones,
+ * and `jsconfig.json` is renamed to `tsconfig.json`, which are variants of it with `.ejs`
+ * @param {string} file path relative to the project root, separated by `/`
+ * @returns {string}
+ */
+export function getTypeScriptPath(file) {
+  if (COMMONJS_FILES.includes(file)) {
+    return file
+  }
+  return file.replace(/\.js$/, '.ts').replace(/(^|\/)jsconfig\.json$/, '$1tsconfig.json')
+}
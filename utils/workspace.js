@@ -0,0 +1,163 @@
+import fs from 'fs'
+import path from 'path'
+
+import { mergePackageJson, readPackageJson } from './fileTree.js'
+
+/**
+ * A monorepo that the project is created in
+ * @typedef {Object} Workspace
+ * @property {string} root absolute path to the root of the workspace
+ * @property {string[]} packages globs of the package directories relative to `root`,
+ *   e.g. `packages/*`, the ones starting with `!` exclude directories
+ * @property {Object<string, string>} dependencies versions of the dependencies
+ *   declared in the `package.json` of the root
+ */
+
+function readJson(file) {
+  if (!fs.existsSync(file)) {
+    return
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (e) {
+    // a malformed file should not prevent scaffolding
+  }
+}
+
+// Only the `packages` list is needed, so it's read line by line instead of parsing the YAML
+function readPnpmWorkspace(file) {
+  const globs = []
+  let inPackages = false
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    if (/^packages:/.test(line)) {
+      inPackages = true
+    } else if (/^\S/.test(line)) {
+      inPackages = false
+    } else if (inPackages) {
+      // e.g. `  - 'packages/*'`
+      const item = line.match(/^\s+-\s*(['"]?)([^'"#\s]+)\1/)
+      if (item) {
+        globs.push(item[2])
+      }
+    }
+  }
+  return globs
+}
+
+function readPackageGlobs(dir) {
+  const pnpmWorkspace = path.resolve(dir, 'pnpm-workspace.yaml')
+  if (fs.existsSync(pnpmWorkspace)) {
+    return readPnpmWorkspace(pnpmWorkspace)
+  }
+
+  // npm, Yarn and Bun, or `{ packages: [...] }` in Yarn 1
+  const pkg = readJson(path.resolve(dir, 'package.json'))
+  const workspaces = pkg && pkg.workspaces
+  if (Array.isArray(workspaces)) {
+    return workspaces
+  }
+  if (workspaces && Array.isArray(workspaces.packages)) {
+    return workspaces.packages
+  }
+
+  const lerna = readJson(path.resolve(dir, 'lerna.json'))
+  if (lerna) {
+    // the default of Lerna
+    return lerna.packages || ['packages/*']
+  }
+}
+
+/**
+ * Find the closest workspace containing `dir`, declared in
+ * `pnpm-workspace.yaml`, the `workspaces` field of `package.json` or `lerna.json`
+ * @param {string} dir an absolute path
+ * @returns {Workspace | undefined}
+ */
+export function findWorkspace(dir) {
+  for (;;) {
+    const packages = readPackageGlobs(dir)
+    if (packages) {
+      const pkg = readJson(path.resolve(dir, 'package.json')) || {}
+      return {
+        root: dir,
+        // e.g. `./packages/*` is the same as `packages/*`
+        packages: packages.map((glob) => glob.replace(/^(!?)\.\//, '$1')),
+        dependencies: { ...pkg.dependencies, ...pkg.devDependencies }
+      }
+    }
+
+    const parent = path.dirname(dir)
+    if (parent === dir) {
+      return
+    }
+    dir = parent
+  }
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .replace(/\/$/, '')
+    .split(/(\*\*\/|\*\*|\*)/)
+    .map((part) => {
+      if (part === '**/') {
+        // any number of directories
+        return '(?:.*/)?'
+      }
+      if (part === '**') {
+        return '.*'
+      }
+      if (part === '*') {
+        return '[^/]*'
+      }
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    })
+    .join('')
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * @param {Workspace} workspace
+ * @param {string} dir an absolute path
+ * @returns {boolean} whether a package in `dir` would be one of the packages of the workspace
+ */
+export function isWorkspacePackage(workspace, dir) {
+  const relativePath = path.relative(workspace.root, dir).split(path.sep).join('/')
+  if (!relativePath || relativePath.startsWith('..')) {
+    return false
+  }
+
+  const matches = (glob) => globToRegExp(glob).test(relativePath)
+  return (
+    workspace.packages.some((glob) => !glob.startsWith('!') && matches(glob)) &&
+    !workspace.packages.some((glob) => glob.startsWith('!') && matches(glob.slice(1)))
+  )
+}
+
+/**
+ * @param {Workspace} workspace
+ * @returns {string | undefined} the directory that new packages are created in,
+ *   relative to the root, e.g. `packages` for `packages/*`
+ */
+export function getPackagesDir(workspace) {
+  const glob = workspace.packages.find((glob) => /^[^!*]+\/\*\*?$/.test(glob))
+  return glob && glob.replace(/\/\*\*?$/, '')
+}
+
+/**
+ * Use the versions declared in the root of the workspace for the dependencies of the project,
+ * so that the workspace keeps a single version of each tool
+ * @param {import('./fileTree.js').FileTree} tree
+ * @param {Workspace} workspace
+ */
+export function useWorkspaceVersions(tree, workspace) {
+  const pkg = readPackageJson(tree)
+  const versions = {}
+  for (const field of ['dependencies', 'devDependencies']) {
+    for (const name of Object.keys(pkg[field] || {})) {
+      if (workspace.dependencies[name]) {
+        versions[field] = { ...versions[field], [name]: workspace.dependencies[name] }
+      }
+    }
+  }
+  mergePackageJson(tree, versions)
+}